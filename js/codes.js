@@ -0,0 +1,137 @@
+/**
+ * @module codes
+ * @description Machine-readable codes on scorecards (QR codes and Code 128 barcodes), so data entry can scan a scorecard
+ * instead of typing the competitor and checking the round. Codes are made in the browser, without network access
+ * @author David Karalli
+ */
+
+import { jsPDF } from 'jspdf';
+import QRCode from 'qrcode';
+import { CODE128 } from 'jsbarcode/bin/barcodes/CODE128/index.js';
+
+/**
+ * Enum for the machine-readable code printed on each scorecard
+ */
+export const MachineCodeType = Object.freeze({
+    /* No code */
+    none    : 'none',
+    /* QR code in the top-right corner */
+    qr      : 'qr',
+    /* Code 128 barcode across the top */
+    code128 : 'code128',
+});
+
+/* Separates the fields of a code's text */
+const fieldSeparator = '|';
+
+/* Width of the empty space on each side of a barcode, in bars of the thinnest width */
+const barcodeQuietZone = 10;
+
+/* Points in a millimeter */
+const ptPerMm = 72 / 25.4;
+
+/* Smallest printed sizes that scanners read reliably: the width of the thinnest bar, and the height of the bars */
+export const minBarWidthMm = 0.2;
+export const minBarHeightMm = 4.5;
+
+/**
+ * Error for a code that would be printed too small to scan
+ */
+export class MachineCodeError extends Error {
+    /**
+     * @param {string} message - Description of the problem, shown to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Get the text encoded in a scorecard's QR code or barcode: the competition ID, activity code, registrant ID and WCA ID,
+ * separated by '|', e.g. 'WesternChampionship2026|333-r1-g2|12|2019SMIT01'
+ *
+ * Blank scorecards only have the competition ID and activity code, e.g. 'WesternChampionship2026|333-r1||'
+ *
+ * @param {string} compId - Competition ID
+ * @param {string} actCode - Activity code of the competitor's group, or of the round for blank scorecards
+ * @param {number | null} registrantId - Registrant ID, or null for blank scorecards
+ * @param {string | null} wcaId - WCA ID, or null for blank scorecards and competitors without one
+ * @returns {string}
+ */
+export function getCodeText(compId, actCode, registrantId, wcaId) {
+    return [compId, actCode, registrantId ?? '', wcaId ?? ''].join(fieldSeparator);
+}
+
+/**
+ * Draw a QR code
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {string} text - Text to encode
+ * @param {number} x - Horizontal position of the top-left corner
+ * @param {number} y - Vertical position of the top-left corner
+ * @param {number} size - Width and height of the code
+ */
+export function drawQrCode(doc, text, x, y, size) {
+    const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+    const moduleSize = size / modules.size;
+
+    doc.setFillColor(0, 0, 0);
+
+    // Each run of dark modules in a row is drawn as one rectangle, so the PDF stays small
+    for (let row = 0; row < modules.size; row++) {
+        let runStart = null;
+
+        for (let col = 0; col <= modules.size; col++) {
+            const dark = col < modules.size && modules.get(row, col);
+
+            if (dark && runStart === null) {
+                runStart = col;
+            } else if (!dark && runStart !== null) {
+                doc.rect(x + (runStart * moduleSize), y + (row * moduleSize), (col - runStart) * moduleSize, moduleSize, 'F');
+                runStart = null;
+            }
+        }
+    }
+}
+
+/**
+ * Draw a Code 128 barcode, with empty space on each side for scanners
+ *
+ * The barcode is stretched to the given width. It isn't drawn if its thinnest bars or its height would be printed
+ * smaller than minBarWidthMm or minBarHeightMm
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {string} text - Text to encode; must be ASCII
+ * @param {number} x - Horizontal position of the top-left corner
+ * @param {number} y - Vertical position of the top-left corner
+ * @param {number} width - Width of the barcode, including the empty space
+ * @param {number} height - Height of the bars
+ * @param {number} scale - Scale factor from the drawn size to the printed size, e.g. 0.75 for 6 scorecards per page
+ * @throws {MachineCodeError} If the barcode would be printed too small to scan
+ */
+export function drawCode128(doc, text, x, y, width, height, scale) {
+    const barcode = new CODE128(text, {});
+
+    if (!barcode.valid())
+        throw new Error(`Can't encode this text in a Code 128 barcode: ${text}`);
+
+    // A string of '1' (bar) and '0' (space) for each bar of the thinnest width
+    const bars = barcode.encode().data;
+    const barWidth = width / (bars.length + (barcodeQuietZone * 2));
+
+    const printedBarWidthMm = barWidth * scale / ptPerMm;
+    const printedHeightMm = height * scale / ptPerMm;
+
+    if (printedBarWidthMm < minBarWidthMm || printedHeightMm < minBarHeightMm)
+        throw new MachineCodeError(`The barcode for '${text}' would be printed too small to scan ` +
+            `(bars ${printedBarWidthMm.toFixed(2)} mm wide and ${printedHeightMm.toFixed(1)} mm tall; ` +
+            `at least ${minBarWidthMm} mm and ${minBarHeightMm} mm are needed). ` +
+            'Use a QR code, or fewer scorecards per page.');
+
+    doc.setFillColor(0, 0, 0);
+
+    for (const match of bars.matchAll(/1+/g)) {
+        doc.rect(x + ((barcodeQuietZone + match.index) * barWidth), y, match[0].length * barWidth, height, 'F');
+    }
+}
\ No newline at end of file
@@ -0,0 +1,23 @@
+/**
+ * @module config
+ * @description Build-time configuration, read from Vite environment variables
+ * @author David Karalli
+ */
+
+/**
+ * Vite environment variables; undefined when the modules are loaded outside of Vite
+ * @type {Object.<string, string> | undefined}
+ */
+const env = import.meta.env;
+
+/**
+ * Origin of the WCA website and API. Set VITE_WCA_ORIGIN to point to a mock server, e.g. 'http://localhost:3001'
+ * @type {string}
+ */
+export const wcaOrigin = env?.VITE_WCA_ORIGIN ?? 'https://www.worldcubeassociation.org';
+
+/**
+ * OAuth application ID registered with the WCA. Signing in is disabled if VITE_WCA_CLIENT_ID isn't set
+ * @type {string}
+ */
+export const wcaClientId = env?.VITE_WCA_CLIENT_ID ?? '';
@@ -0,0 +1,66 @@
+/**
+ * @module csv
+ * @description Reading CSV files, e.g. spreadsheets exported by organizers
+ * @author David Karalli
+ */
+
+/**
+ * Normalize a CSV header, e.g. 'Registrant ID' -> 'registrantid'
+ *
+ * @param {string} header
+ * @returns {string}
+ */
+export function normalizeHeader(header) {
+    return header.trim().toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Split a CSV file into rows of cells. Handles quoted cells, including quoted commas and line breaks
+ *
+ * @param {string} text - CSV text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+
+        if (inQuotes) {
+            if (c === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (c === '"') {
+                inQuotes = false;
+            } else {
+                cell += c;
+            }
+        } else if (c === '"') {
+            inQuotes = true;
+        } else if (c === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n')
+                i++;
+
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += c;
+        }
+    }
+
+    if (cell !== '' || row.length !== 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    // Skip blank lines
+    return rows.filter(x => x.some(cell => cell.trim() !== ''));
+}
\ No newline at end of file
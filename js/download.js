@@ -0,0 +1,153 @@
+/**
+ * @module download
+ * @description Downloading the generated files: separate PDFs, or a ZIP file with every PDF and a manifest
+ * @author David Karalli
+ */
+
+import { WCIF } from './wcif.js';
+import { Option, DownloadOption } from './options.js'
+import { genScPdfsFromWcif, PdfSplit } from './sc_pdf.js';
+import { zipSync, strToU8 } from 'fflate';
+
+/**
+ * Enum for how the scorecards are downloaded
+ */
+export const DownloadType = Object.freeze({
+    /* A separate PDF for each event */
+    eventPdfs   : 'event-pdfs',
+    /* One PDF for the whole competition, with bookmarks */
+    combinedPdf : 'combined-pdf',
+    /* A ZIP file with a PDF for each event */
+    zipByEvent  : 'zip-event',
+    /* A ZIP file with a PDF for each round */
+    zipByRound  : 'zip-round',
+    /* A ZIP file with a PDF for each group */
+    zipByGroup  : 'zip-group',
+});
+
+/**
+ * How the scorecards are split into PDFs for each download type
+ * @type {Object<string, string>}
+ */
+const downloadTypeToSplit = {
+    [DownloadType.eventPdfs]: PdfSplit.event,
+    [DownloadType.combinedPdf]: PdfSplit.competition,
+    [DownloadType.zipByEvent]: PdfSplit.event,
+    [DownloadType.zipByRound]: PdfSplit.round,
+    [DownloadType.zipByGroup]: PdfSplit.group,
+};
+
+/**
+ * A file other than a PDF to download with the scorecards, e.g. the groups patch
+ * @typedef {object} JsonFile
+ * @property {string} fileName - Name of the file, e.g. 'WesternChampionship2026_groups_patch.json'
+ * @property {object} data - Data to save
+ */
+
+/**
+ * Download a blob as a file
+ *
+ * @param {string} fileName - Name of the file
+ * @param {Blob} blob - File contents
+ */
+function downloadBlob(fileName, blob) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+
+    // Revoking the URL right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 40000);
+}
+
+/**
+ * Download data as a JSON file
+ *
+ * @param {string} fileName - Name of the file, e.g. 'WesternChampionship2026_groups_patch.json'
+ * @param {object} data - Data to save
+ */
+export function downloadJson(fileName, data) {
+    downloadBlob(fileName, new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+}
+
+/**
+ * Get the manifest of a ZIP file: what's in each file, and the options used to generate them
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {PdfFile[]} pdfFiles - PDFs in the ZIP file
+ * @param {JsonFile[]} jsonFiles - Other files in the ZIP file
+ * @returns {object}
+ */
+export function getManifest(wcif, optionsObj, pdfFiles, jsonFiles) {
+    return {
+        competitionId: wcif.compId,
+        competitionName: wcif.getCompName(),
+        generatedAt: new Date().toISOString(),
+        files: [
+            ...pdfFiles.map(x => ({
+                fileName: x.fileName,
+                pages: x.doc.getNumberOfPages(),
+                cards: x.numCards,
+                blankCards: x.numBlankCards,
+            })),
+            ...jsonFiles.map(x => ({ fileName: x.fileName })),
+        ],
+        options: Object.fromEntries(Object.values(optionsObj).map(x => [x.getId(), x.getManifestValue()])),
+    };
+}
+
+/**
+ * Download a ZIP file with the PDFs, the other files and a manifest. The ZIP file is made in the browser
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {PdfFile[]} pdfFiles - PDFs to put in the ZIP file
+ * @param {JsonFile[]} jsonFiles - Other files to put in the ZIP file
+ */
+function downloadZip(wcif, optionsObj, pdfFiles, jsonFiles) {
+    const manifest = getManifest(wcif, optionsObj, pdfFiles, jsonFiles);
+
+    const zipEntries = {};
+
+    for (const pdfFile of pdfFiles) {
+        // PDFs are already compressed
+        zipEntries[pdfFile.fileName] = [new Uint8Array(pdfFile.doc.output('arraybuffer')), { level: 0 }];
+    }
+
+    for (const jsonFile of jsonFiles) {
+        zipEntries[jsonFile.fileName] = strToU8(JSON.stringify(jsonFile.data, null, 2));
+    }
+
+    zipEntries['manifest.json'] = strToU8(JSON.stringify(manifest, null, 2));
+
+    downloadBlob(`${wcif.compId}_Scorecards.zip`, new Blob([zipSync(zipEntries)], { type: 'application/zip' }));
+}
+
+/**
+ * Download the scorecards for the given WCIF, in the way chosen in the options
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {JsonFile[]} jsonFiles - Other files to download with the scorecards
+ */
+export function downloadScorecards(wcif, optionsObj, jsonFiles) {
+    const downloadType = optionsObj[DownloadOption.genId()]?.value ?? DownloadType.eventPdfs;
+    const pdfFiles = genScPdfsFromWcif(wcif, optionsObj, downloadTypeToSplit[downloadType]);
+
+    if (downloadType === DownloadType.zipByEvent || downloadType === DownloadType.zipByRound ||
+        downloadType === DownloadType.zipByGroup) {
+        downloadZip(wcif, optionsObj, pdfFiles, jsonFiles);
+        return;
+    }
+
+    for (const pdfFile of pdfFiles) {
+        pdfFile.doc.save(pdfFile.fileName);
+    }
+
+    for (const jsonFile of jsonFiles) {
+        downloadJson(jsonFile.fileName, jsonFile.data);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,291 @@
+/**
+ * @module group_import
+ * @description Group assignments imported from a CSV file, e.g. from an organizer's spreadsheet
+ * @author David Karalli
+ */
+
+import { WCIF } from './wcif.js';
+import { Option, GroupsCsvOption } from './options.js'
+import { parseCsv, normalizeHeader } from './csv.js';
+
+/**
+ * One competitor's group in a round, from a row of the CSV file
+ * @typedef {object} ImportedAssignment
+ * @property {number} rowNum - Row number in the CSV file (the header is row 1)
+ * @property {number} registrantId - Registrant ID of the competitor
+ * @property {string} eventId - Event ID, e.g. '333'
+ * @property {number} round - Round number
+ * @property {number} group - Group number
+ * @property {string | null} roomName - Room of the group, or null if the CSV file doesn't say
+ * @property {number | null} stationNumber - Station number, or null if the CSV file doesn't say
+ */
+
+/**
+ * A row of the CSV file that couldn't be used, or that conflicts with another row
+ * @typedef {object} ImportProblem
+ * @property {number} rowNum - Row number in the CSV file (the header is row 1)
+ * @property {string} message - Description of the problem, shown to the user
+ */
+
+/**
+ * Error for a CSV file that can't be read at all
+ */
+export class GroupsFileError extends Error {
+    /**
+     * @param {string} message - Description of the problem, shown to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Find the event ID for the text in the event column: an event ID, or the event's name or short name
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} text - e.g. '333', '3x3x3 Cube' or '3x3'
+ * @returns {string | null} null if no event of the competition matches
+ */
+function findEventId(wcif, text) {
+    const normalized = text.trim().toLowerCase();
+
+    return wcif.getEventIds().find(eventId =>
+        [eventId, wcif.getEventName(eventId), wcif.getEventShortName(eventId)]
+            .some(x => x.toLowerCase() === normalized)) ?? null;
+}
+
+/**
+ * Read a number from a cell, ignoring text around it, e.g. 'Group 2' or 'R1'
+ *
+ * @param {string} text - Cell text
+ * @returns {number | null} null if the cell has no number
+ */
+function readNumber(text) {
+    const match = /\d+/.exec(text);
+
+    return match === null ? null : Number(match[0]);
+}
+
+/**
+ * Read group assignments from a CSV file
+ *
+ * The first row names the columns. The competitor is found by a registrant ID column ('Registrant ID', 'ID')
+ * or a 'WCA ID' column. The group comes from 'Event', 'Round' and 'Group' columns, or from an activity code column
+ * (e.g. '333-r1-g2'). Without a round column, groups are for round 1. 'Room' and 'Station' columns are optional
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} text - CSV text
+ * @returns {{assignments: ImportedAssignment[], problems: ImportProblem[]}}
+ *   Rows that can be used, and rows that can't be used or that conflict with another row
+ */
+export function readGroupsCsv(wcif, text) {
+    const [headerRow, ...rows] = parseCsv(text);
+
+    if (headerRow === undefined)
+        throw new GroupsFileError('The CSV file is empty');
+
+    const headers = headerRow.map(normalizeHeader);
+    const findColumn = names => headers.findIndex(x => names.includes(x));
+
+    const idCol = findColumn(['registrantid', 'id', 'personid', 'competitorid']);
+    const wcaIdCol = findColumn(['wcaid']);
+    const eventCol = findColumn(['event', 'eventid']);
+    const roundCol = findColumn(['round', 'roundnumber']);
+    const groupCol = findColumn(['group', 'groupnumber']);
+    const actCodeCol = findColumn(['activitycode', 'activity']);
+    const roomCol = findColumn(['room', 'stage']);
+    const stationCol = findColumn(['station', 'stationnumber']);
+
+    if (idCol === -1 && wcaIdCol === -1)
+        throw new GroupsFileError('The CSV file needs a "Registrant ID" or "WCA ID" column');
+
+    if (actCodeCol === -1 && (eventCol === -1 || groupCol === -1))
+        throw new GroupsFileError('The CSV file needs "Event" and "Group" columns, or an "Activity code" column');
+
+    const roomNames = wcif.getRoomNames();
+    const readCell = (row, col) => col === -1 ? '' : (row[col] ?? '').trim();
+
+    const assignments = [];
+    const problems = [];
+
+    // Assignments by competitor and round, to find competitors put in two groups of the same round
+    const keyToAssignment = new Map();
+
+    for (const [i, row] of rows.entries()) {
+        const rowNum = i + 2;
+        const addProblem = message => problems.push({ rowNum, message });
+
+        let registrantId = null;
+        if (readCell(row, idCol) !== '')
+            registrantId = readNumber(readCell(row, idCol));
+        else if (readCell(row, wcaIdCol) !== '')
+            registrantId = wcif.getRegistrantIdFromWcaId(readCell(row, wcaIdCol).toUpperCase());
+
+        if (registrantId === null || !wcif.hasPerson(registrantId)) {
+            addProblem(`No competitor with registrant ID "${readCell(row, idCol)}" or WCA ID "${readCell(row, wcaIdCol)}"`);
+            continue;
+        }
+
+        const codeInfo = actCodeCol === -1 ? null : WCIF.parseActCode(readCell(row, actCodeCol));
+        const eventId = codeInfo?.eventId ?? findEventId(wcif, readCell(row, eventCol));
+        const round = codeInfo?.round ?? (roundCol === -1 ? 1 : readNumber(readCell(row, roundCol)));
+        const group = codeInfo?.group ?? readNumber(readCell(row, groupCol));
+
+        if (eventId === null || !wcif.getEventIds().includes(eventId)) {
+            addProblem(`The competition doesn't have the event "${readCell(row, eventCol) || readCell(row, actCodeCol)}"`);
+            continue;
+        }
+
+        if (round === null || round < 1 || round > wcif.getNumRounds(eventId)) {
+            addProblem(`${wcif.getEventShortName(eventId)} doesn't have round "${round ?? readCell(row, roundCol)}"`);
+            continue;
+        }
+
+        if (group === null || group < 1) {
+            addProblem(`Can't read the group "${readCell(row, groupCol) || readCell(row, actCodeCol)}"`);
+            continue;
+        }
+
+        const roomText = readCell(row, roomCol);
+        const roomName = roomText === '' ? null
+            : roomNames.find(x => x.toLowerCase() === roomText.toLowerCase()) ?? undefined;
+
+        if (roomName === undefined) {
+            addProblem(`The competition doesn't have the room "${roomText}"`);
+            continue;
+        }
+
+        // Groups are placed under the round's activity, so the round has to be in the schedule (in the room)
+        const roundRoomNames = wcif.getRoundRoomNames(eventId, round);
+
+        if (roundRoomNames.length === 0) {
+            addProblem(`${wcif.getEventShortName(eventId)} round ${round} isn't in the schedule`);
+            continue;
+        }
+
+        if (roomName !== null && !roundRoomNames.includes(roomName)) {
+            addProblem(`${wcif.getEventShortName(eventId)} round ${round} isn't held in the room "${roomName}"`);
+            continue;
+        }
+
+        const stationText = readCell(row, stationCol);
+        const stationNumber = stationText === '' ? null : readNumber(stationText);
+
+        const assignment = { rowNum, registrantId, eventId, round, group, roomName, stationNumber };
+        const key = `${registrantId} ${eventId}-r${round}`;
+        const earlier = keyToAssignment.get(key);
+
+        if (earlier !== undefined) {
+            // The same assignment listed twice isn't a problem
+            if (earlier.group !== group || earlier.roomName !== roomName) {
+                addProblem(`${wcif.getPersonName(registrantId)} is already in another group of ` +
+                    `${wcif.getEventShortName(eventId)} round ${round} (row ${earlier.rowNum}); this row is ignored`);
+            }
+            continue;
+        }
+
+        keyToAssignment.set(key, assignment);
+        assignments.push(assignment);
+    }
+
+    problems.push(...getStationProblems(wcif, assignments));
+    problems.sort((a, b) => a.rowNum - b.rowNum);
+
+    return { assignments, problems };
+}
+
+/**
+ * Find competitors given the same station number in the same group
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {ImportedAssignment[]} assignments - Assignments from the CSV file
+ * @returns {ImportProblem[]}
+ */
+function getStationProblems(wcif, assignments) {
+    const keyToAssignment = new Map();
+    const problems = [];
+
+    for (const assignment of assignments) {
+        if (assignment.stationNumber === null)
+            continue;
+
+        const { eventId, round, group, roomName, stationNumber } = assignment;
+        const key = `${eventId}-r${round}-g${group} ${roomName} ${stationNumber}`;
+        const earlier = keyToAssignment.get(key);
+
+        if (earlier === undefined) {
+            keyToAssignment.set(key, assignment);
+            continue;
+        }
+
+        problems.push({
+            rowNum: assignment.rowNum,
+            message: `${wcif.getPersonName(assignment.registrantId)} has the same station (${stationNumber}) ` +
+                `as ${wcif.getPersonName(earlier.registrantId)} (row ${earlier.rowNum})`,
+        });
+    }
+
+    return problems;
+}
+
+/**
+ * Replace the competitor assignments of a round with assignments from the CSV file
+ *
+ * Groups that aren't in the schedule are added to it
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {ImportedAssignment[]} assignments - The round's assignments from the CSV file
+ */
+function applyRoundAssignments(wcif, eventId, round, assignments) {
+    const scheduleActIds = wcif.getGroupActIds(eventId, round)
+        .filter(x => wcif.getGroupNum(x) !== null);
+
+    // Activity ID of each group and room in the file; the room is null if the file doesn't say
+    const keyToActId = new Map();
+
+    function getActId(group, roomName) {
+        const key = `${group} ${roomName}`;
+
+        if (!keyToActId.has(key)) {
+            const actId = scheduleActIds.find(x =>
+                wcif.getGroupNum(x) === group && (roomName === null || wcif.getGroupRoom(x) === roomName));
+
+            keyToActId.set(key, actId ?? wcif.addGroupActs(eventId, round, 1, roomName, group)[0]);
+        }
+
+        return keyToActId.get(key);
+    }
+
+    wcif.setRoundAssignments(eventId, round, assignments.map(x => ({
+        registrantId: x.registrantId,
+        actId: getActId(x.group, x.roomName),
+        stationNumber: x.stationNumber,
+    })));
+}
+
+/**
+ * Replace the competitor assignments of each round in the imported CSV file
+ *
+ * Rounds that aren't in the file keep the assignments from the WCIF
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ */
+export function applyGroupsCsvOption(wcif, optionsObj) {
+    const assignments = optionsObj[GroupsCsvOption.genId()]?.value ?? null;
+
+    if (assignments === null)
+        return;
+
+    for (const eventId of wcif.getEventIds()) {
+        for (let round = 1; round <= wcif.getNumRounds(eventId); round++) {
+            const roundAssignments = assignments.filter(x => x.eventId === eventId && x.round === round);
+
+            if (roundAssignments.length !== 0)
+                applyRoundAssignments(wcif, eventId, round, roundAssignments);
+        }
+    }
+}
\ No newline at end of file
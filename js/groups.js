@@ -0,0 +1,234 @@
+/**
+ * @module groups
+ * @description Assigning competitors to groups, for competitions whose WCIF doesn't have groups
+ * @author David Karalli
+ */
+
+import { WCIF } from './wcif.js';
+import { Option, ToggleOption, GroupsPerRoomOption } from './options.js'
+
+/**
+ * How competitors are put in groups
+ * @typedef {object} GroupSettings
+ * @property {bool} seedByPersonalBest - Put the fastest competitors (by personal best) in the last groups
+ * @property {bool} spreadNewCompetitors - Spread new competitors evenly across the groups
+ * @property {bool} speedcubersNotFirst - Keep the fastest competitors out of the first group
+ */
+
+/* Fraction of a round's competitors that are kept out of the first group by the speedcubersNotFirst setting */
+const speedcuberFraction = 0.1;
+
+/* Competitors per group used to suggest a number of groups when the schedule has none */
+const suggestedGroupSize = 20;
+
+/**
+ * Get the rounds that the group generator can assign: first rounds without groups in the WCIF
+ *
+ * Later rounds aren't included, since who advances isn't known until the previous round's results are imported
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @returns {{eventId: string, round: number}[]}
+ */
+export function getGeneratableRounds(wcif) {
+    return wcif.getEventIds()
+        .filter(eventId => wcif.getNumRounds(eventId) > 0 && !wcif.groupsAreAssigned(eventId, 1))
+        .map(eventId => ({ eventId, round: 1 }));
+}
+
+/**
+ * Get the schedule's group activities in each room of a round
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {Map<string, number[]>} Maps each room of the round to its group activity IDs, in order of group number
+ */
+function getScheduleGroupActIds(wcif, eventId, round) {
+    const roomToActIds = new Map(wcif.getRoundRoomNames(eventId, round).map(x => [x, []]));
+
+    const actIds = wcif.getGroupActIds(eventId, round)
+        .filter(actId => actId > 0 && wcif.getGroupNum(actId) !== null)
+        .sort((a, b) => wcif.getGroupNum(a) - wcif.getGroupNum(b));
+
+    for (const actId of actIds)
+        roomToActIds.get(wcif.getGroupRoom(actId))?.push(actId);
+
+    return roomToActIds;
+}
+
+/**
+ * Get the default number of groups per room for a round: the most groups any room has in the schedule,
+ * or enough groups for about 20 competitors each if the schedule has none
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {number}
+ */
+export function getDefaultGroupsPerRoom(wcif, eventId, round) {
+    const counts = [...getScheduleGroupActIds(wcif, eventId, round).values()].map(x => x.length);
+    const scheduleGroups = Math.max(0, ...counts);
+
+    if (scheduleGroups > 0)
+        return scheduleGroups;
+
+    const numRooms = Math.max(1, counts.length);
+    const numCompetitors = wcif.getRegisteredCompetitorIds(eventId).length;
+
+    return Math.max(1, Math.ceil(numCompetitors / numRooms / suggestedGroupSize));
+}
+
+/**
+ * Get the name of the ToggleOption for generating a round's groups
+ *
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {string} e.g. 'generate-groups-333-r1'
+ */
+export function getGenerateToggleName(eventId, round) {
+    return `generate-groups-${eventId}-r${round}`;
+}
+
+/**
+ * Get the personal best used to seed a competitor: the average for rounds ranked by average, otherwise the single
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {number} registrantId - Registrant ID of the competitor
+ * @returns {number} Infinity if the competitor doesn't have one
+ */
+function getSeedResult(wcif, eventId, round, registrantId) {
+    const resultType = wcif.getRankingResultType(eventId, round);
+
+    return wcif.getPersonalBest(registrantId, eventId, resultType) ?? Infinity;
+}
+
+/**
+ * Split competitors into groups
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {number[]} registrantIds - Registrant IDs of the round's competitors
+ * @param {number} numGroups - Number of groups
+ * @param {GroupSettings} settings - How competitors are put in groups
+ * @returns {number[][]} Registrant IDs for each group, in group order
+ */
+export function splitCompetitors(wcif, eventId, round, registrantIds, numGroups, settings) {
+    const seedResults = new Map(registrantIds.map(x => [x, getSeedResult(wcif, eventId, round, x)]));
+    const byName = (a, b) => wcif.getPersonName(a).localeCompare(wcif.getPersonName(b));
+
+    // Slowest first, so the fastest competitors end up in the last groups
+    const ordered = [...registrantIds].sort((a, b) => {
+        if (settings.seedByPersonalBest && seedResults.get(a) !== seedResults.get(b))
+            return seedResults.get(a) > seedResults.get(b) ? -1 : 1;
+
+        return byName(a, b);
+    });
+
+    // Earlier groups get the extra competitors when they don't split evenly
+    const sizes = Array.from({ length: numGroups },
+        (_, i) => Math.floor(registrantIds.length / numGroups) + (i < registrantIds.length % numGroups ? 1 : 0));
+    const groups = sizes.map(() => []);
+
+    const isSpread = x => settings.spreadNewCompetitors && wcif.isNewCompetitor(x);
+
+    ordered.filter(isSpread)
+        .forEach((registrantId, i) => groups[i % numGroups].push(registrantId));
+
+    let group = 0;
+    for (const registrantId of ordered.filter(x => !isSpread(x))) {
+        while (groups[group].length >= sizes[group])
+            group++;
+
+        groups[group].push(registrantId);
+    }
+
+    if (settings.speedcubersNotFirst && numGroups > 1) {
+        const numSpeedcubers = Math.ceil(registrantIds.length * speedcuberFraction);
+        const speedcuberIds = new Set(registrantIds
+            .filter(x => seedResults.get(x) !== Infinity)
+            .sort((a, b) => seedResults.get(a) - seedResults.get(b))
+            .slice(0, numSpeedcubers));
+
+        // Swap each speedcuber in the first group with someone else from the latest group that has one to swap
+        for (const [i, registrantId] of groups[0].entries()) {
+            if (!speedcuberIds.has(registrantId))
+                continue;
+
+            for (let g = numGroups - 1; g > 0; g--) {
+                const j = groups[g].findLastIndex(x => !speedcuberIds.has(x) && !isSpread(x));
+
+                if (j !== -1) {
+                    [groups[0][i], groups[g][j]] = [groups[g][j], groups[0][i]];
+                    break;
+                }
+            }
+        }
+    }
+
+    return groups;
+}
+
+/**
+ * Assign a round's registered competitors to groups, with the same number of groups in each room of the round
+ *
+ * The schedule's group activities are used first, and rooms with fewer groups in the schedule get new groups
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {number} groupsPerRoom - Number of groups in each room
+ * @param {GroupSettings} settings - How competitors are put in groups
+ * @returns {{registrantId: number, actId: number}[]} Assignments for WCIF.setRoundAssignments
+ */
+export function generateGroupAssignments(wcif, eventId, round, groupsPerRoom, settings) {
+    const scheduleActIds = getScheduleGroupActIds(wcif, eventId, round);
+
+    // Activity IDs of each room's groups: the schedule's groups, plus new groups if the room needs more
+    const roomActIds = [...scheduleActIds.entries()].map(([roomName, actIds]) => {
+        if (actIds.length >= groupsPerRoom)
+            return actIds.slice(0, groupsPerRoom);
+
+        const numNewGroups = groupsPerRoom - actIds.length;
+        return [...actIds, ...wcif.addGroupActs(eventId, round, numNewGroups, roomName, actIds.length + 1)];
+    });
+
+    const groups = splitCompetitors(wcif, eventId, round,
+        wcif.getRegisteredCompetitorIds(eventId), groupsPerRoom, settings);
+
+    // Groups with the same number run at the same time, so each group's competitors are dealt out across the rooms
+    return groups.flatMap((registrantIds, group) => registrantIds.map((registrantId, i) => ({
+        registrantId,
+        actId: roomActIds[i % roomActIds.length][group],
+    })));
+}
+
+/**
+ * Assign competitors to groups in every round that the user chose to generate groups for
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ */
+export function applyGroupOptions(wcif, optionsObj) {
+    const settings = {
+        seedByPersonalBest: ToggleOption.isOn(optionsObj, 'groups-seed-pb'),
+        spreadNewCompetitors: ToggleOption.isOn(optionsObj, 'groups-spread-new'),
+        speedcubersNotFirst: ToggleOption.isOn(optionsObj, 'groups-speedcubers-not-first'),
+    };
+
+    for (const { eventId, round } of getGeneratableRounds(wcif)) {
+        const groupsPerRoom = Number(optionsObj[GroupsPerRoomOption.genId(eventId, round)]?.value || 0);
+
+        if (!ToggleOption.isOn(optionsObj, getGenerateToggleName(eventId, round)) || groupsPerRoom <= 0)
+            continue;
+
+        // Groups can't be placed without the round's activity
+        if (wcif.getRoundRoomNames(eventId, round).length === 0)
+            continue;
+
+        wcif.setRoundAssignments(eventId, round,
+            generateGroupAssignments(wcif, eventId, round, groupsPerRoom, settings));
+    }
+}
\ No newline at end of file
@@ -0,0 +1,175 @@
+/**
+ * @module layout
+ * @description Page layouts: how many scorecards are printed on each page, and where each one goes
+ * @author David Karalli
+ */
+
+import { Option, ScorecardLayoutOption, PaperSizeOption } from './options.js'
+
+/*
+ * Scorecards are drawn at a fixed size, then scaled to fit their place on the page, so they fit any paper size.
+ * A scorecard is drawn as a quarter of a letter page, and an FMC solution sheet as a whole letter page
+ */
+export const scWidth = 306;
+export const scHeight = 396;
+export const fullPageWidth = 612;
+export const fullPageHeight = 792;
+
+/**
+ * Where a scorecard goes on the page, and how much it's scaled by to fit there
+ * @typedef {object} ScCell
+ * @property {number} x - Horizontal position of the top-left corner of the scaled scorecard
+ * @property {number} y - Vertical position of the top-left corner of the scaled scorecard
+ * @property {number} scale - Scale factor from the drawn size to the size on the page
+ */
+
+/**
+ * Grid of scorecards on a page
+ */
+export class ScLayout {
+    /**
+     * Number of scorecards on each page
+     * @type {number}
+     */
+    scPerPage;
+
+    /**
+     * Page orientation: 'portrait' or 'landscape'
+     * @type {string}
+     */
+    orientation;
+
+    /** @type {number} */
+    columns;
+
+    /** @type {number} */
+    rows;
+
+    /**
+     * Width of a scorecard as drawn, before scaling
+     * @type {number}
+     */
+    drawWidth;
+
+    /**
+     * Height of a scorecard as drawn, before scaling
+     * @type {number}
+     */
+    drawHeight;
+
+    /**
+     * @param {string} orientation - Page orientation: 'portrait' or 'landscape'
+     * @param {number} columns - Number of columns of scorecards
+     * @param {number} rows - Number of rows of scorecards
+     * @param {number} drawWidth - Width of a scorecard as drawn, before scaling
+     * @param {number} drawHeight - Height of a scorecard as drawn, before scaling
+     */
+    constructor(orientation, columns, rows, drawWidth = scWidth, drawHeight = scHeight) {
+        this.scPerPage = columns * rows;
+        this.orientation = orientation;
+        this.columns = columns;
+        this.rows = rows;
+        this.drawWidth = drawWidth;
+        this.drawHeight = drawHeight;
+    }
+
+    /**
+     * Get where each scorecard on a page goes, in order from left to right, then top to bottom. Each scorecard
+     * is scaled as large as it can be while fitting in its part of the page, and centered there
+     *
+     * @param {number} pageWidth - Width of the page
+     * @param {number} pageHeight - Height of the page
+     * @returns {ScCell[]}
+     */
+    getCells(pageWidth, pageHeight) {
+        const cellWidth = pageWidth / this.columns;
+        const cellHeight = pageHeight / this.rows;
+        const scale = Math.min(cellWidth / this.drawWidth, cellHeight / this.drawHeight);
+
+        const xPadding = (cellWidth - this.drawWidth * scale) / 2;
+        const yPadding = (cellHeight - this.drawHeight * scale) / 2;
+
+        const cells = [];
+        for (let row = 0; row < this.rows; row++) {
+            for (let column = 0; column < this.columns; column++) {
+                cells.push({
+                    x: column * cellWidth + xPadding,
+                    y: row * cellHeight + yPadding,
+                    scale: scale,
+                });
+            }
+        }
+
+        return cells;
+    }
+}
+
+/**
+ * Layouts that can be chosen for scorecards, by number of scorecards per page
+ */
+export const scLayouts = Object.freeze({
+    1: new ScLayout('portrait', 1, 1),
+    // Half-letter scorecards
+    2: new ScLayout('landscape', 2, 1),
+    4: new ScLayout('portrait', 2, 2),
+    6: new ScLayout('landscape', 3, 2),
+});
+
+export const defaultScPerPage = 4;
+
+/**
+ * Paper sizes that scorecards can be printed on. Each key is a jsPDF page format
+ */
+export const paperSizes = Object.freeze({
+    'letter': 'Letter (8.5 × 11 in)',
+    'a4': 'A4 (210 × 297 mm)',
+    'legal': 'Legal (8.5 × 14 in)',
+});
+
+/* Countries where letter paper is the usual size; A4 is the default everywhere else */
+const letterCountries = ['US', 'CA', 'MX', 'CL', 'CO', 'VE', 'PH', 'GT', 'CR', 'PA', 'DO', 'SV', 'NI', 'PR'];
+
+/**
+ * Get the default paper size for a competition
+ *
+ * @param {string | null} countryIso2 - Country of the competition, e.g. 'US'
+ * @returns {string} A key of paperSizes; letter if the country isn't known
+ */
+export function getDefaultPaperSize(countryIso2) {
+    if (countryIso2 === null || letterCountries.includes(countryIso2))
+        return 'letter';
+
+    return 'a4';
+}
+
+/**
+ * Get the paper size to print scorecards on
+ *
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {string} A key of paperSizes; letter if there's no paper size option
+ */
+export function getPaperSize(optionsObj) {
+    const paperSize = optionsObj[PaperSizeOption.genId()]?.value ?? 'letter';
+
+    return paperSize in paperSizes ? paperSize : 'letter';
+}
+
+/* FMC solution sheets always take up a full page */
+const fmcLayout = new ScLayout('portrait', 1, 1, fullPageWidth, fullPageHeight);
+
+/**
+ * Get the layout of an event's scorecards
+ *
+ * @param {string | null} eventId - Event ID, e.g. '333'; null for scorecards that aren't for an event
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects.
+ *   The default layout is used if there's no layout option
+ * @returns {ScLayout}
+ */
+export function getScLayout(eventId, optionsObj = {}) {
+    if (eventId === '333fm')
+        return fmcLayout;
+
+    const scPerPage = optionsObj[ScorecardLayoutOption.genId()]?.value ?? defaultScPerPage;
+
+    return scLayouts[scPerPage] ?? scLayouts[defaultScPerPage];
+}
\ No newline at end of file
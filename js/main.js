@@ -1,7 +1,13 @@
 
 import { WCIF } from './wcif.js';
-import { genScPdfsFromWcif } from './sc_pdf.js';
-import { optTabsCreate, OptionsTab, Option } from './options.js';
+import { downloadScorecards } from './download.js';
+import { getBlanksWarnings } from './sc_data.js';
+import { applyResultsOptions } from './results.js';
+import { applyGroupOptions } from './groups.js';
+import { applyGroupsCsvOption } from './group_import.js';
+import { optTabsCreate, OptionsTab, Option, ToggleOption } from './options.js';
+import { MachineCodeError } from './codes.js';
+import { signInAvailable, signIn, signOut, readTokenFromUrl, getAccessToken } from './wca_auth.js';
 
 const compIdForm = document.querySelector('#compIdForm');
 compIdForm.addEventListener('submit', compIdToOptions);
@@ -16,44 +22,236 @@ let wcif = null;
 /** @type {OptionsTab[]} */
 let optionsTabArr = null;
 
-async function compIdToOptions(event) {
-    event.preventDefault(); // prevent the page from reloading
+/**
+ * Show whether the user is signed in to the WCA, and set up the sign-in/sign-out button
+ */
+function updateSignInUi() {
+    const signInDiv = document.querySelector('#wcaSignIn');
+    const status = document.querySelector('#wcaSignInStatus');
+    const button = document.querySelector('#wcaSignInButton');
 
-    optionsForm.innerHTML = optionsFormInitialHTML;
+    if (!signInAvailable()) {
+        signInDiv.hidden = true;
+        return;
+    }
+
+    signInDiv.hidden = false;
 
+    if (getAccessToken() === null) {
+        status.textContent = 'Organizers and delegates can sign in to use groups that aren\'t public yet.';
+        button.textContent = 'Sign in with the WCA';
+    } else {
+        status.textContent = 'Signed in to the WCA. Private competition data will be used when available.';
+        button.textContent = 'Sign out';
+    }
+}
+
+const wcaSignInButton = document.querySelector('#wcaSignInButton');
+wcaSignInButton.addEventListener('click', () => {
+    if (getAccessToken() === null) {
+        signIn();
+    } else {
+        signOut();
+        updateSignInUi();
+    }
+});
+
+readTokenFromUrl();
+updateSignInUi();
+
+/**
+ * Function that repeats the last attempt to load WCIF data; used by the retry button
+ * @type {function | null}
+ */
+let retryLoad = null;
+
+const formRetryButton = document.querySelector('#formRetryButton');
+formRetryButton.addEventListener('click', () => retryLoad?.());
+
+/**
+ * Clear any error shown on the competition ID form
+ */
+function clearFormError() {
     const formError = document.querySelector('#formError');
-    const compIdInput = event.target.elements.compId;
-    // TODO: make this a singular CSS style
+    const compIdInput = compIdForm.elements.compId;
 
-    // Clear any previous errors
     formError.textContent = '';
     formError.hidden = true;
+    formRetryButton.hidden = true;
     compIdInput.style.backgroundColor = '';
     compIdInput.style.color = 'white';
+}
 
-    const scFormData = new FormData(event.target);
+/**
+ * Show an error on the competition ID form, along with a button to retry loading the data
+ *
+ * @param {string} message - Message to show the user
+ * @param {bool} highlightCompId - Whether to highlight the competition ID input
+ */
+function showFormError(message, highlightCompId) {
+    const formError = document.querySelector('#formError');
+    const compIdInput = compIdForm.elements.compId;
 
-    const compId = scFormData.get('compId');
+    formError.textContent = message;
+    formError.hidden = false;
+    formRetryButton.hidden = false;
+
+    if (highlightCompId) {
+        compIdInput.style.backgroundColor = '#ffcccb';
+        compIdInput.style.color = 'black';
+    }
+}
+
+/**
+ * Get the message to show the user for an error thrown while loading WCIF data
+ *
+ * @param {Error} err - Error thrown by WCIF.fromCompId or WCIF.fromFile
+ * @returns {string}
+ */
+function getLoadErrorMessage(err) {
+    // Order matters: the HTTP error subclasses must be checked before WCIF.HttpError
+    if (err instanceof WCIF.NotFoundError) {
+        return 'Could not find the competition. Are you sure the competition ID is correct?';
+    }
+
+    if (err instanceof WCIF.PermissionError) {
+        return `You don't have permission to see this competition's data (HTTP ${err.status}). ` +
+            'If you manage the competition, try signing in again.';
+    }
+
+    if (err instanceof WCIF.RateLimitError) {
+        return 'The WCA website is getting too many requests right now (HTTP 429). Wait a minute, then try again.';
+    }
+
+    if (err instanceof WCIF.HttpError) {
+        return `The WCA website returned an error (HTTP ${err.status}). Try again in a few minutes.`;
+    }
+
+    if (err instanceof WCIF.NetworkError) {
+        return 'Could not connect to the WCA website. Check your internet connection, or load a WCIF file instead.';
+    }
+
+    if (err instanceof WCIF.InvalidJsonError) {
+        return `The competition data isn't valid JSON (${err.message}).`;
+    }
+
+    if (err instanceof WCIF.InvalidWcifError) {
+        return `The competition data isn't in the WCIF format (${err.message}). ` +
+            'Please use a WCIF file exported from the WCA website or another tool.';
+    }
+
+    return 'Something went wrong while loading the competition data.';
+}
+
+/**
+ * Load WCIF data, then show the options form. If loading fails, show an error with a retry button
+ *
+ * @param {function(): Promise<WCIF>} loadFunc - Function that loads the WCIF data, e.g. from the WCA API or a file
+ */
+async function loadWcif(loadFunc) {
+    // Clear any previous errors
+    clearFormError();
+
+    retryLoad = () => loadWcif(loadFunc);
 
     try {
-        wcif = await WCIF.fromCompId(compId);
+        wcif = await loadFunc();
     } catch (err) {
-        // TODO: make sure error message is provided to the user and then function exits
         console.log(err)
-        if (err instanceof WCIF.HttpError) {
-            // TODO: clearer definition of what "competition data" is, e.g. a screenshot of the WCA URL
-            formError.textContent = 'Could not get competition data. Are you sure the competition ID is correct?';
-            formError.hidden = false;
-            compIdInput.style.backgroundColor = '#ffcccb';
-            compIdInput.style.color = 'black';
-            // TODO: clear the error on the next submission
-        } else {
-            // TODO: more generic error
-        }
+        showFormError(getLoadErrorMessage(err), err instanceof WCIF.NotFoundError);
 
         return;
     }
 
+    wcifToOptions();
+}
+
+function compIdToOptions(event) {
+    event.preventDefault(); // prevent the page from reloading
+
+    const scFormData = new FormData(event.target);
+
+    const compId = scFormData.get('compId');
+
+    loadWcif(() => WCIF.fromCompId(compId, getAccessToken()));
+}
+
+/**
+ * Load a WCIF JSON file (instead of fetching the WCIF from the WCA API), then show the options form
+ *
+ * @param {File} file - JSON file from the file picker or drag-and-drop
+ */
+function wcifFileToOptions(file) {
+    loadWcif(() => WCIF.fromFile(file));
+}
+
+const wcifFileInput = document.querySelector('#wcifFileInput');
+wcifFileInput.addEventListener('change', (event) => {
+    const file = event.target.files[0];
+
+    // Allow the same file to be chosen again, e.g. after editing it
+    event.target.value = '';
+
+    if (file)
+        wcifFileToOptions(file);
+});
+
+/* Drag-and-drop of a WCIF file onto the competition ID form */
+compIdForm.addEventListener('dragover', (event) => {
+    event.preventDefault(); // allow dropping
+    compIdForm.classList.add('form--drag-over');
+});
+
+compIdForm.addEventListener('dragleave', (event) => {
+    // Ignore events from moving between child elements of the form
+    if (compIdForm.contains(event.relatedTarget))
+        return;
+
+    compIdForm.classList.remove('form--drag-over');
+});
+
+compIdForm.addEventListener('drop', (event) => {
+    event.preventDefault(); // prevent the browser from opening the file
+    compIdForm.classList.remove('form--drag-over');
+
+    const file = event.dataTransfer.files[0];
+    if (file)
+        wcifFileToOptions(file);
+});
+
+/**
+ * Get a note on which WCIF data was loaded, if the user is signed in to the WCA
+ *
+ * @returns {HTMLDivElement | null} null if the data didn't come from the WCA API with a sign-in
+ */
+function createDataSourceNotice() {
+    if (!wcif.isPrivate && wcif.privateLoadError === null)
+        return null;
+
+    const notice = document.createElement('div');
+    notice.classList.add('data-source-notice');
+
+    if (wcif.isPrivate) {
+        notice.textContent = 'Using the private competition data from your WCA account.';
+    } else {
+        notice.classList.add('data-source-notice--warning');
+        notice.textContent = 'The private competition data couldn\'t be loaded, so the public data is used instead. ' +
+            'Groups that aren\'t public yet are missing. ' + getLoadErrorMessage(wcif.privateLoadError);
+    }
+
+    return notice;
+}
+
+/**
+ * Create the options form for the loaded WCIF, then switch from the competition ID form to the options form
+ */
+function wcifToOptions() {
+    optionsForm.innerHTML = optionsFormInitialHTML;
+
+    const dataSourceNotice = createDataSourceNotice();
+    if (dataSourceNotice !== null)
+        optionsForm.appendChild(dataSourceNotice);
+
     /* TODO: better name for this? */
     /* TODO: use nav instead of div? */
     const navButtonDiv = document.createElement('div');
@@ -122,21 +320,66 @@ async function compIdToOptions(event) {
 }
 
 function optionsToPdf(event) {
+    if (wcif.hasErrors()) {
+        const proceed = window.confirm(
+            'The competition data has errors (see the "Checks" tab), so some scorecards may be wrong or missing. ' +
+            'Download the scorecards anyway?');
+
+        if (!proceed)
+            return;
+    }
+
     const options = optionsTabArr.flatMap(x => x.options);
     const optionsObj = {};
 
     const formData = new FormData(optionsForm);
 
     for (const option of options) {
-        const id = option.getId();
+        option.setValueFromForm(formData);
 
-        option.value =
-            formData.get(id);
-
-        optionsObj[id] = option;
+        optionsObj[option.getId()] = option;
     }
 
-    genScPdfsFromWcif(wcif, optionsObj);
+    // Setting the assignments can fail too (e.g. on an unusual schedule), so it goes in the try
+    try {
+        // Start from the WCIF's own assignments, in case the options changed since the last download.
+        // Imported groups come first, so the group generator skips rounds that have them
+        wcif.clearAssignmentOverrides();
+        applyGroupsCsvOption(wcif, optionsObj);
+        applyResultsOptions(wcif, optionsObj);
+        applyGroupOptions(wcif, optionsObj);
+
+        // Checked after the assignments above, since rounds that now have groups only need a page of extras
+        const blanksWarnings = getBlanksWarnings(wcif, optionsObj);
+        if (blanksWarnings.length > 0) {
+            const proceed = window.confirm(
+                'Some rounds may not have enough blank scorecards (see the "Blank scorecards" tab):\n\n' +
+                blanksWarnings.map(x => `- ${x}`).join('\n') +
+                '\n\nDownload the scorecards anyway?');
+
+            if (!proceed)
+                return;
+        }
+
+        const jsonFiles = [];
+
+        if (ToggleOption.isOn(optionsObj, 'export-wcif-patch') && wcif.hasAssignmentOverrides())
+            jsonFiles.push({ fileName: `${wcif.compId}_groups_patch.json`, data: wcif.getAssignmentsPatch() });
+
+        downloadScorecards(wcif, optionsObj, jsonFiles);
+    } catch (err) {
+        console.log(err);
+
+        if (err instanceof MachineCodeError) {
+            window.alert(`The scorecards weren't downloaded. ${err.message}`);
+            return;
+        }
+
+        window.alert(
+            'Something went wrong while generating the scorecards, so nothing was downloaded. ' +
+            (wcif.hasErrors() ? 'Fix the errors in the "Checks" tab, then try again.\n\n' : '\n\n') +
+            `Details: ${err.message}`);
+    }
 }
 
 function optionsToCompId(event) {
@@ -4,7 +4,15 @@
  * @author David Karalli
  */
 
-import { WCIF } from './wcif.js'
+import { WCIF, WCIFIssue, IssueSeverity } from './wcif.js'
+import { getScPerPage, getRoundBlanksWarning, SortOrder, blankFormatToName } from './sc_data.js'
+import { readResultsFile, getAdvancingRegistrantIds, getWcifResults, RoundResult, ResultsFileError } from './results.js'
+import { getGeneratableRounds, getDefaultGroupsPerRoom, getGenerateToggleName } from './groups.js'
+import { readGroupsCsv, GroupsFileError } from './group_import.js'
+import { defaultScPerPage, paperSizes, getDefaultPaperSize } from './layout.js'
+import { DownloadType, downloadJson } from './download.js'
+import { MachineCodeType, minBarWidthMm, minBarHeightMm } from './codes.js'
+import { builtInTemplates, defaultTemplateKey, uploadedTemplateKey, readTemplateFile, TemplateFileError } from './templates.js'
 
 export class Option {
     /* HTML data */
@@ -55,6 +63,24 @@ export class Option {
         return this.#id;
     }
 
+    /**
+     * Set the value of the option from the submitted options form
+     *
+     * @param {FormData} formData - Data from the options form
+     */
+    setValueFromForm(formData) {
+        this.value = formData.get(this.#id);
+    }
+
+    /**
+     * Get the value of the option to record in the manifest of a ZIP download
+     *
+     * @returns {any}
+     */
+    getManifestValue() {
+        return this.value;
+    }
+
     /**
      * TODO: comment
      * @param {string} inputType
@@ -97,6 +123,42 @@ export class RoundBlanksOption extends Option {
     }
 }
 
+export class FormatBlanksOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * @param {string} format - Round format, e.g. 'a'
+     * @returns {string} - input name, e.g. 'blanks-format-a'
+     */
+    static genId(format) {
+        return `blanks-format-${format}`;
+    }
+
+    /**
+     * Get the name of the ToggleOption for printing a cutoff line on a format's blank scorecards
+     *
+     * @param {string} format - Round format, e.g. 'a'
+     * @returns {string} e.g. 'blanks-format-cutoff-a'
+     */
+    static getCutoffToggleName(format) {
+        return `blanks-format-cutoff-${format}`;
+    }
+
+    /**
+     * @param {string} format - Round format, e.g. 'a'
+     * @param {number} defaultValue - Default number of pages of blank scorecards
+     */
+    constructor(format, defaultValue) {
+        const id = FormatBlanksOption.genId(format);
+
+        super(
+            'number',
+            id,
+            defaultValue,
+        );
+    }
+}
+
 export class RoomOption extends Option {
     /**
      * Generate the ID that corresponds to the given arguments
@@ -124,288 +186,1873 @@ export class RoomOption extends Option {
     }
 }
 
-export class OptionsTab {
-    /** WCIF object
-     * @type {WCIF}
+export class ToggleOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * @param {string} name - Name of the setting, e.g. 'print-station'
+     * @returns {string} - input name, e.g. 'toggle-print-station'
      */
-    wcif;
-
-    /** @type {string} */
-    tabName;
-
-    /** @type {string} */
-    #tabContentId;
-
-    /** @type {string} */
-    #tabButtonName;
+    static genId(name) {
+        return `toggle-${name}`;
+    }
 
-    /** @type {Option[]} */
-    options;
+    /**
+     * Get the value of a toggle option, or false if the option doesn't exist
+     *
+     * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+     * @param {string} name - Name of the setting, e.g. 'print-station'
+     * @returns {bool}
+     */
+    static isOn(optionsObj, name) {
+        return optionsObj[ToggleOption.genId(name)]?.value ?? false;
+    }
 
     /**
-     * Description to show up at the top of the tab's content
+     * Human-readable description of the setting, shown next to the checkbox
      * @type {string}
      */
-    desc;
+    label;
 
     /**
-     * HTML content of the tab
-     * @type {HTMLElement}
+     * Unchecked checkboxes aren't included in form data, so the value is whether the checkbox was submitted
+     *
+     * @param {FormData} formData - Data from the options form
      */
-    div;
+    setValueFromForm(formData) {
+        this.value = formData.has(this.getId());
+    }
 
     /**
-     * Generate the HTML content for the tab. Must be overridden by child class.
+     * @param {string} name - Name of the setting, e.g. 'print-station'
+     * @param {string} label - Human-readable description of the setting
+     * @param {bool} defaultValue - Whether the setting is on by default
      */
-    #finishDiv() {
-        throw new Error(`Called createDiv on generic Option object. Args: ${args}`);
+    constructor(name, label, defaultValue) {
+        const id = ToggleOption.genId(name);
+
+        super(
+            'checkbox',
+            id,
+            defaultValue,
+        );
+
+        this.label = label;
     }
+}
 
+export class EventNameOption extends Option {
     /**
-     * Add an Option object to the array of options
+     * Generate the ID that corresponds to the given arguments
      *
-     * @param {Option} option
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @returns {string} - input name, e.g. 'event-name-333'
      */
-    addOption(option) {
-        this.options.push(option);
+    static genId(eventId) {
+        return `event-name-${eventId}`;
     }
 
-    getTabContentId() {
-        return this.#tabContentId;
-    }
+    /**
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {string} defaultValue - Default event name, e.g. '3x3x3 Cube'
+     */
+    constructor(eventId, defaultValue) {
+        const id = EventNameOption.genId(eventId);
 
-    getTabButtonName() {
-        return this.#tabButtonName;
+        super(
+            'text',
+            id,
+            defaultValue,
+        );
     }
+}
 
+export class ScorecardSortOption extends Option {
     /**
-     * TODO: comment
-     * @param {string} tabName - text to display on the button for the tab
-     * @param {string} id - unique ID for identifying the div for the tab's content
-     * @param {string} desc - description to show up at the top of the tab's content
-     * @param {WCIF} wcif - WCIF object
+     * Generate the ID that corresponds to the given arguments
+     *
+     * There's one sort order for every round, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'sc-sort-order'
      */
-    constructor(tabName, id, desc, wcif) {
-        // Treat OptionsTab as an abstract base class
-        if (new.target === OptionsTab) {
-            throw new Error(`Cannot call OptionsTab constructor directly. tabName is "${tabName}."`)
-        }
-
-        this.tabName = tabName;
-        this.#tabContentId = `optionsTab-content-${id}`;
-        this.#tabButtonName = `optionsTab-button-${id}`;
-        this.options = [];
-        this.desc = desc;
-
-        // Start creating the div
-        this.div = document.createElement('div');
-
-        this.div.id = this.#tabContentId;
-        this.div.classList.add('tab-content');
-
-        // Add description text to the div
-        const descHtml = document.createElement('p');
-        descHtml.textContent = this.desc;
-        descHtml.classList.add('options-tab-description');
-        this.div.appendChild(descHtml);
-
-        this.wcif = wcif;
+    static genId() {
+        return 'sc-sort-order';
     }
-}
 
-class HelpOptionsTab extends OptionsTab {
     /**
-     * TODO: comment
-     * @param {WCIF} wcif - WCIF object
+     * Choices shown in the drop-down list; each value is a SortOrder value
+     * @type {{value: string, label: string}[]}
      */
-    constructor(wcif) {
-        const tabName = 'Help';
-        const id = 'helpOptions';
-        const desc = 'Click a tab to start customizing your scorecards. ' +
-            'Once you\'re ready, click the "Download scorecards" button above.';
+    choices = [
+        { value: SortOrder.groupName, label: 'By group, then by name' },
+        { value: SortOrder.groupId, label: 'By group, then by registrant ID' },
+        { value: SortOrder.groupStation, label: 'By group, then by station number' },
+        { value: SortOrder.name, label: 'By name' },
+        { value: SortOrder.seed, label: 'By personal best (fastest first)' },
+    ];
 
-        super(tabName, id, desc, wcif);
+    /**
+     * @param {string} defaultValue - Default sort order (a SortOrder value)
+     */
+    constructor(defaultValue) {
+        super(
+            'select',
+            ScorecardSortOption.genId(),
+            defaultValue,
+        );
     }
-
 }
 
-class BlanksOptionsTab extends OptionsTab {
+export class ScorecardLayoutOption extends Option {
     /**
-     * Event listener to prevent the user from pasting '-' or '.'
+     * Generate the ID that corresponds to the given arguments
      *
-     * @param {Event} e - Event object (NOT a WCA event)
+     * There's one layout for every event except FMC, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'sc-per-page'
      */
-    #beforeinputEventListener(e) {
-        // Don't allow non-digit characters
-        if (e.data && /\D/.test(e.data)) {
-            e.preventDefault();
-        }
+    static genId() {
+        return 'sc-per-page';
     }
 
     /**
-     * Create an HTML input element
-     * @param {RoundBlanksOption} option - RoundBlanksOption object
-     * @returns {HTMLInputElement}
+     * Choices shown in the drop-down list; each value is a key of scLayouts
+     * @type {{value: string, label: string}[]}
      */
-    #createInput(option) {
-        const input = document.createElement('input');
-
-        input.type = option.inputType;
-        input.name = option.getId();
-
-        input.inputmode = 'numeric';
-        input.defaultValue = option.defaultValue;
-        input.min = 0;
-
-        input.classList.add('option-input');
-
-        input.addEventListener('beforeinput',
-            event => this.#beforeinputEventListener(event));
+    choices = [
+        { value: '1', label: '1 (full page)' },
+        { value: '2', label: '2 (half page)' },
+        { value: '4', label: '4 (quarter page)' },
+        { value: '6', label: '6 (sixth of a page)' },
+    ];
 
-        return input;
+    /**
+     * @param {string} defaultValue - Default number of scorecards per page (a key of scLayouts)
+     */
+    constructor(defaultValue) {
+        super(
+            'select',
+            ScorecardLayoutOption.genId(),
+            defaultValue,
+        );
     }
+}
 
+export class PaperSizeOption extends Option {
     /**
-     * @param {string} eventId - Event ID, e.g. '333'
-     * @param {number} round - Round number
-     * @returns {number} - number of blanks for the round
+     * Generate the ID that corresponds to the given arguments
+     *
+     * There's one paper size for every PDF, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'paper-size'
      */
-    #getBlankPagesForRound(eventId, round) {
-        // If groups are already assigned, just add one page of blank scorecards
-        if (this.wcif.groupsAreAssigned(eventId, round)) {
-            return 1;
-        }
+    static genId() {
+        return 'paper-size';
+    }
 
-        // If groups aren't already assigned, provide scorecards for filling in at the competition,
-        // plus one extra page of blank scorecards
-        const numCompetitors = this.wcif.getNumAdvancingToRound(eventId, round);
-        const scPerPage = 4;
+    /**
+     * Choices shown in the drop-down list; each value is a key of paperSizes
+     * @type {{value: string, label: string}[]}
+     */
+    choices = Object.entries(paperSizes).map(([value, label]) => ({ value, label }));
 
-        return (numCompetitors / scPerPage) + 1;
+    /**
+     * @param {string} defaultValue - Default paper size (a key of paperSizes)
+     */
+    constructor(defaultValue) {
+        super(
+            'select',
+            PaperSizeOption.genId(),
+            defaultValue,
+        );
     }
+}
 
+export class DownloadOption extends Option {
     /**
-     * @param {string} eventId - Event ID, e.g. '333'
-     * @returns {Object<number, number>}
-     *   Map-like object that converts a round (number) to the number of blank pages
+     * Generate the ID that corresponds to the given arguments
+     *
+     * There's one download for the whole competition, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'download-type'
      */
-    #getRoundToBlankPagesObj(eventId) {
-        const numRounds = this.wcif.getNumRounds(eventId);
+    static genId() {
+        return 'download-type';
+    }
 
-        const roundToBlankPages = {};
+    /**
+     * Choices shown in the drop-down list; each value is a DownloadType value
+     * @type {{value: string, label: string}[]}
+     */
+    choices = [
+        { value: DownloadType.eventPdfs, label: 'A separate PDF for each event' },
+        { value: DownloadType.combinedPdf, label: 'One PDF, with bookmarks for each event, round and group' },
+        { value: DownloadType.zipByEvent, label: 'A ZIP file with a PDF for each event' },
+        { value: DownloadType.zipByRound, label: 'A ZIP file with a PDF for each round' },
+        { value: DownloadType.zipByGroup, label: 'A ZIP file with a PDF for each group' },
+    ];
 
-        for (let round = 1; round <= numRounds; round++) {
-            roundToBlankPages[round] = this.#getBlankPagesForRound(eventId, round);
-        }
+    /**
+     * @param {string} defaultValue - Default download type (a DownloadType value)
+     */
+    constructor(defaultValue) {
+        super(
+            'select',
+            DownloadOption.genId(),
+            defaultValue,
+        );
+    }
+}
 
-        return roundToBlankPages;
+export class MachineCodeOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * There's one kind of code for every scorecard, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'machine-code'
+     */
+    static genId() {
+        return 'machine-code';
     }
 
     /**
-     * @returns {Object<string, Object<number, number>>}
-     *   Map-like object that converts an eventId (string) and round (number) to the number of blank pages,
-     *   e.g. to get the number of blank pages in 3x3 Round 1: obj['333'][1]
+     * Choices shown in the drop-down list; each value is a MachineCodeType value
+     * @type {{value: string, label: string}[]}
      */
-    #getNumBlankPagesObj() {
-        let numBlankPagesObj = {};
+    choices = [
+        { value: MachineCodeType.none, label: 'None' },
+        { value: MachineCodeType.qr, label: 'QR code (top-right corner)' },
+        { value: MachineCodeType.code128, label: 'Code 128 barcode (across the top; 1 or 2 per page)' },
+    ];
 
-        for (const eventId of this.wcif.getEventIds()) {
-            numBlankPagesObj[eventId] = this.#getRoundToBlankPagesObj(eventId);
-        }
+    /**
+     * @param {string} defaultValue - Default code (a MachineCodeType value)
+     */
+    constructor(defaultValue) {
+        super(
+            'select',
+            MachineCodeOption.genId(),
+            defaultValue,
+        );
+    }
+}
 
-        return numBlankPagesObj;
+export class ScorecardTemplateOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * There's one template for the whole competition, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'sc-template'
+     */
+    static genId() {
+        return 'sc-template';
     }
 
     /**
-     * Finish generating the HTML content for the tab
+     * Choices shown in the drop-down list; each value is a key of builtInTemplates.
+     * An uploaded template is added to the list by the options tab
+     * @type {{value: string, label: string}[]}
      */
-    #finishDiv() {
-        const numBlankPagesObj = this.#getNumBlankPagesObj();
+    choices = Object.entries(builtInTemplates).map(([value, template]) => ({ value, label: template.name }));
 
-        // Create the table
-        const table = document.createElement('table');
-        table.classList.add('options-table');
+    /**
+     * Template uploaded by the user, or null if no template was uploaded
+     * @type {import('./templates.js').ScorecardTemplate | null}
+     */
+    uploadedTemplate;
+
+    /**
+     * Name of the uploaded template file, or null if no template was uploaded
+     * @type {string | null}
+     */
+    fileName;
+
+    /**
+     * Set the uploaded template
+     *
+     * @param {string | null} fileName - Name of the template file, or null to clear the template
+     * @param {import('./templates.js').ScorecardTemplate | null} template - Template read from the file
+     */
+    setUploadedTemplate(fileName, template) {
+        this.fileName = fileName;
+        this.uploadedTemplate = template;
+    }
+
+    /**
+     * An uploaded template is recorded in full, since it can't be chosen again without the file
+     *
+     * @returns {string | import('./templates.js').ScorecardTemplate}
+     */
+    getManifestValue() {
+        return this.value === uploadedTemplateKey ? this.uploadedTemplate : this.value;
+    }
+
+    /**
+     * @param {string} defaultValue - Default template (a key of builtInTemplates)
+     */
+    constructor(defaultValue) {
+        super(
+            'select',
+            ScorecardTemplateOption.genId(),
+            defaultValue,
+        );
+
+        this.uploadedTemplate = null;
+        this.fileName = null;
+    }
+}
+
+export class GroupsPerRoomOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number
+     * @returns {string} - input name, e.g. 'groups-per-room-333-r1'
+     */
+    static genId(eventId, round) {
+        return `groups-per-room-${eventId}-r${round}`;
+    }
+
+    /**
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number
+     * @param {number} defaultValue - Default number of groups in each room
+     */
+    constructor(eventId, round, defaultValue) {
+        const id = GroupsPerRoomOption.genId(eventId, round);
+
+        super(
+            'number',
+            id,
+            defaultValue,
+        );
+    }
+}
+
+export class GroupsCsvOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * There's one CSV file for the whole competition, so there are no arguments
+     *
+     * @returns {string} - input name, i.e. 'groups-csv'
+     */
+    static genId() {
+        return 'groups-csv';
+    }
+
+    /**
+     * The value is set when a CSV file is imported, since file inputs don't hold the assignments themselves
+     *
+     * @param {FormData} formData - Data from the options form
+     */
+    setValueFromForm(formData) {
+    }
+
+    /**
+     * The imported assignments are too long for the manifest, so only their number is recorded
+     *
+     * @returns {number | null} Number of imported assignments, or null if no file was imported
+     */
+    getManifestValue() {
+        return this.value?.length ?? null;
+    }
+
+    constructor() {
+        super(
+            'file',
+            GroupsCsvOption.genId(),
+            null,
+        );
+    }
+}
+
+export class RoundResultsOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     * @returns {string} - input name, e.g. 'results-333-r1'
+     */
+    static genId(eventId, round) {
+        return `results-${eventId}-r${round}`;
+    }
+
+    /**
+     * Event ID, e.g. '333'
+     * @type {string}
+     */
+    eventId;
+
+    /**
+     * Round number of the finished round
+     * @type {number}
+     */
+    round;
+
+    /**
+     * Name of the imported results file, or null if no file was imported
+     * @type {string | null}
+     */
+    fileName;
+
+    /**
+     * The value is set when a results file is imported, since file inputs don't hold the results themselves
+     *
+     * @param {FormData} formData - Data from the options form
+     */
+    setValueFromForm(formData) {
+    }
+
+    /**
+     * Set the imported results
+     *
+     * @param {string | null} fileName - Name of the results file, or null to clear the results
+     * @param {RoundResult[] | null} results - Results of the round
+     */
+    setResults(fileName, results) {
+        this.fileName = fileName;
+        this.value = results;
+    }
+
+    /**
+     * The imported results are too long for the manifest, so only the file name is recorded
+     *
+     * @returns {string | null} Name of the results file, or null if no file was imported
+     */
+    getManifestValue() {
+        return this.fileName;
+    }
+
+    /**
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     */
+    constructor(eventId, round) {
+        const id = RoundResultsOption.genId(eventId, round);
+
+        super(
+            'file',
+            id,
+            null,
+        );
+
+        this.eventId = eventId;
+        this.round = round;
+        this.fileName = null;
+    }
+}
+
+export class NextRoundGroupsOption extends Option {
+    /**
+     * Generate the ID that corresponds to the given arguments
+     *
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     * @returns {string} - input name, e.g. 'next-round-groups-333-r1'
+     */
+    static genId(eventId, round) {
+        return `next-round-groups-${eventId}-r${round}`;
+    }
+
+    /**
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     */
+    constructor(eventId, round) {
+        const id = NextRoundGroupsOption.genId(eventId, round);
+
+        // Blank means the groups in the schedule are used
+        super(
+            'number',
+            id,
+            '',
+        );
+    }
+}
+
+export class OptionsTab {
+    /** WCIF object
+     * @type {WCIF}
+     */
+    wcif;
+
+    /** @type {string} */
+    tabName;
+
+    /** @type {string} */
+    #tabContentId;
+
+    /** @type {string} */
+    #tabButtonName;
+
+    /** @type {Option[]} */
+    options;
+
+    /**
+     * Description to show up at the top of the tab's content
+     * @type {string}
+     */
+    desc;
+
+    /**
+     * HTML content of the tab
+     * @type {HTMLElement}
+     */
+    div;
+
+    /**
+     * Generate the HTML content for the tab. Must be overridden by child class.
+     */
+    #finishDiv() {
+        throw new Error(`Called createDiv on generic Option object. Args: ${args}`);
+    }
+
+    /**
+     * Add an Option object to the array of options
+     *
+     * @param {Option} option
+     */
+    addOption(option) {
+        this.options.push(option);
+    }
+
+    /**
+     * Event listener to prevent the user from pasting '-' or '.' into a number input
+     *
+     * @param {Event} e - Event object (NOT a WCA event)
+     */
+    beforeinputEventListener(e) {
+        // Don't allow non-digit characters
+        if (e.data && /\D/.test(e.data)) {
+            e.preventDefault();
+        }
+    }
+
+    /**
+     * Create an HTML checkbox element
+     * @param {ToggleOption} option - ToggleOption object
+     * @returns {HTMLInputElement}
+     */
+    createCheckbox(option) {
+        const input = document.createElement('input');
+
+        input.type = option.inputType;
+        input.name = option.getId();
+        input.id = option.getId();
+
+        input.defaultChecked = option.defaultValue;
+
+        return input;
+    }
+
+    getTabContentId() {
+        return this.#tabContentId;
+    }
+
+    getTabButtonName() {
+        return this.#tabButtonName;
+    }
+
+    /**
+     * TODO: comment
+     * @param {string} tabName - text to display on the button for the tab
+     * @param {string} id - unique ID for identifying the div for the tab's content
+     * @param {string} desc - description to show up at the top of the tab's content
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(tabName, id, desc, wcif) {
+        // Treat OptionsTab as an abstract base class
+        if (new.target === OptionsTab) {
+            throw new Error(`Cannot call OptionsTab constructor directly. tabName is "${tabName}."`)
+        }
+
+        this.tabName = tabName;
+        this.#tabContentId = `optionsTab-content-${id}`;
+        this.#tabButtonName = `optionsTab-button-${id}`;
+        this.options = [];
+        this.desc = desc;
+
+        // Start creating the div
+        this.div = document.createElement('div');
+
+        this.div.id = this.#tabContentId;
+        this.div.classList.add('tab-content');
+
+        // Add description text to the div
+        const descHtml = document.createElement('p');
+        descHtml.textContent = this.desc;
+        descHtml.classList.add('options-tab-description');
+        this.div.appendChild(descHtml);
+
+        this.wcif = wcif;
+    }
+}
+
+class HelpOptionsTab extends OptionsTab {
+    /**
+     * TODO: comment
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Help';
+        const id = 'helpOptions';
+        const desc = 'Click a tab to start customizing your scorecards. ' +
+            'Once you\'re ready, click the "Download scorecards" button above.';
+
+        super(tabName, id, desc, wcif);
+    }
+
+}
+
+class ChecksOptionsTab extends OptionsTab {
+    /**
+     * Get the description of the tab
+     *
+     * @param {WCIFIssue[]} issues - Problems found in the WCIF data
+     * @returns {string}
+     */
+    static #getDesc(issues) {
+        if (issues.length === 0) {
+            return 'No problems were found in the competition data.';
+        }
+
+        return `Found ${issues.length} possible problem(s) in the competition data. ` +
+            'Errors will likely cause wrong or missing scorecards. ' +
+            'Fix them on the WCA website, then load the competition again.';
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const issues = this.wcif.issues;
+
+        if (issues.length === 0)
+            return;
+
+        // Create the table
+        const table = document.createElement('table');
+        table.classList.add('options-table');
+
+        // Create the table header
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+
+        for (const text of ['Event', 'Round', 'Severity', 'Problem']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            tr.appendChild(th);
+        }
+
+        thead.appendChild(tr);
+
+        const tbody = document.createElement('tbody');
+        const bgClasses = ['odd-row', 'even-row'];
+        let rowClassesInd = 0;
+
+        for (const issue of issues) {
+            const isError = issue.severity === IssueSeverity.error;
+
+            const cells = [
+                issue.eventId === null ? 'All' : this.wcif.getEventShortName(issue.eventId),
+                issue.round ?? '',
+                isError ? 'Error' : 'Warning',
+                issue.message,
+            ];
+
+            const row = document.createElement('tr');
+            row.classList.add(bgClasses[rowClassesInd]);
+            row.classList.add(isError ? 'issue-error' : 'issue-warning');
+
+            for (const text of cells) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
+            }
+
+            tbody.appendChild(row);
+
+            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+        }
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        this.div.appendChild(table);
+    }
+
+    /**
+     * Tab that reports problems found in the WCIF data before the scorecards are generated
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const issues = wcif.issues;
+        const tabName = issues.length === 0 ? 'Checks' : `Checks (${issues.length})`;
+        const id = 'checks';
+        const desc = ChecksOptionsTab.#getDesc(issues);
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class BlanksOptionsTab extends OptionsTab {
+    /**
+     * Options the page counts depend on, i.e. the scorecard layout chosen in the "Scorecards" tab.
+     * Empty until the layout changes, so the default layout is used
+     * @type {Object<string, Option>}
+     */
+    #layoutOptionsObj = {};
+
+    /**
+     * Each round's input, with what's needed to update its default and warning when the layout changes
+     * @type {{option: RoundBlanksOption, input: HTMLInputElement, warningTd: HTMLTableCellElement, eventId: string, round: number}[]}
+     */
+    #roundRows = [];
+
+    /**
+     * Create an HTML input element
+     * @param {RoundBlanksOption} option - RoundBlanksOption object
+     * @returns {HTMLInputElement}
+     */
+    #createInput(option) {
+        const input = document.createElement('input');
+
+        input.type = option.inputType;
+        input.name = option.getId();
+
+        input.inputmode = 'numeric';
+        input.defaultValue = option.defaultValue;
+        input.min = 0;
+
+        input.classList.add('option-input');
+
+        input.addEventListener('beforeinput',
+            event => this.beforeinputEventListener(event));
+
+        return input;
+    }
+
+    /**
+     * Show a warning next to a round's input if its number of pages looks too low for the round
+     *
+     * @param {{input: HTMLInputElement, warningTd: HTMLTableCellElement, eventId: string, round: number}} roundRow
+     *   The round's input, and the cell to write the warning in
+     */
+    #updateWarning({ input, warningTd, eventId, round }) {
+        const scPerPage = getScPerPage(eventId, this.#layoutOptionsObj);
+        const warning = getRoundBlanksWarning(this.wcif, eventId, round, Number(input.value || 0), scPerPage);
+
+        warningTd.textContent = warning ?? '';
+        input.classList.toggle('option-input--warning', warning !== null);
+        warningTd.classList.toggle('blanks-warning', warning !== null);
+    }
+
+    /**
+     * Recompute the default page counts and the warnings for the scorecard layout. Page counts that the user
+     * changed are kept
+     *
+     * @param {ScorecardLayoutOption} layoutOption - Layout option, with the chosen number of scorecards per page
+     */
+    setLayoutOption(layoutOption) {
+        this.#layoutOptionsObj = { [layoutOption.getId()]: layoutOption };
+
+        for (const roundRow of this.#roundRows) {
+            const { option, input } = roundRow;
+            const changedByUser = input.value !== String(option.defaultValue);
+
+            option.defaultValue = this.#getBlankPagesForRound(roundRow.eventId, roundRow.round);
+
+            if (!changedByUser)
+                input.value = option.defaultValue;
+
+            this.#updateWarning(roundRow);
+        }
+    }
+
+    /**
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number
+     * @returns {number} - number of blanks for the round
+     */
+    #getBlankPagesForRound(eventId, round) {
+        // If groups are already assigned, just add one page of blank scorecards
+        if (this.wcif.groupsAreAssigned(eventId, round)) {
+            return 1;
+        }
+
+        // If groups aren't already assigned, provide scorecards for filling in at the competition,
+        // plus one extra page of blank scorecards
+        const numCompetitors = this.wcif.getNumAdvancingToRound(eventId, round);
+        const scPerPage = getScPerPage(eventId, this.#layoutOptionsObj);
+
+        return Math.ceil(numCompetitors / scPerPage) + 1;
+    }
+
+    /**
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @returns {Object<number, number>}
+     *   Map-like object that converts a round (number) to the number of blank pages
+     */
+    #getRoundToBlankPagesObj(eventId) {
+        const numRounds = this.wcif.getNumRounds(eventId);
+
+        const roundToBlankPages = {};
+
+        for (let round = 1; round <= numRounds; round++) {
+            roundToBlankPages[round] = this.#getBlankPagesForRound(eventId, round);
+        }
+
+        return roundToBlankPages;
+    }
+
+    /**
+     * @returns {Object<string, Object<number, number>>}
+     *   Map-like object that converts an eventId (string) and round (number) to the number of blank pages,
+     *   e.g. to get the number of blank pages in 3x3 Round 1: obj['333'][1]
+     */
+    #getNumBlankPagesObj() {
+        let numBlankPagesObj = {};
+
+        for (const eventId of this.wcif.getEventIds()) {
+            numBlankPagesObj[eventId] = this.#getRoundToBlankPagesObj(eventId);
+        }
+
+        return numBlankPagesObj;
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const numBlankPagesObj = this.#getNumBlankPagesObj();
+
+        // Create the table
+        const table = document.createElement('table');
+        table.classList.add('options-table');
+
+        // Create the table header
+        const thead = document.createElement('thead');
+
+        // TODO: clean this up
+        let tr;
+        let th;
+
+        tr = document.createElement('tr');
+        th = document.createElement('th');
+        th.classList.add('options-table');
+        th.textContent = "Event";
+        tr.appendChild(th);
+
+        th = document.createElement('th');
+        th.textContent = "Round";
+        tr.appendChild(th);
+
+        th = document.createElement('th');
+        th.textContent = "Pages";
+        tr.appendChild(th);
+
+        th = document.createElement('th');
+        th.textContent = "Competitors";
+        tr.appendChild(th);
+
+        th = document.createElement('th');
+        th.textContent = "Estimated from";
+        tr.appendChild(th);
+
+        th = document.createElement('th');
+        th.textContent = "Warning";
+        tr.appendChild(th);
+        thead.appendChild(tr);
+        // TODO: add reset column
+
+        const tbody = document.createElement('tbody');
+        let input;
+        let td;
+
+        tr = document.createElement('tr');
+        const bgClasses = ['odd-row', 'even-row'];
+        let rowClassesInd = 0;
+
+        for (const eventId of Object.keys(numBlankPagesObj)) {
+            const eventDict = numBlankPagesObj[eventId];
+
+            td = document.createElement('td');
+            td.textContent = this.wcif.getEventShortName(eventId);
+            td.rowSpan = Object.keys(eventDict).length;
+            tr.appendChild(td);
+
+            for (const round of Object.keys(eventDict)) {
+                // Create option object
+                const defaultValue = eventDict[round];
+                const option = new RoundBlanksOption(eventId, round, defaultValue);
+                this.addOption(option);
+
+                // Finish table row
+                tr.classList.add(bgClasses[rowClassesInd]);
+
+                td = document.createElement('td');
+                td.textContent = round;
+                tr.appendChild(td);
+
+                td = document.createElement('td');
+                input = this.#createInput(option);
+
+                td.appendChild(input);
+                tr.appendChild(td);
+
+                const estimate = this.wcif.getRoundSizeEstimate(eventId, Number(round));
+
+                td = document.createElement('td');
+                td.textContent = estimate.numCompetitors;
+                tr.appendChild(td);
+
+                td = document.createElement('td');
+                td.textContent = estimate.explanation;
+                td.classList.add('estimate-explanation');
+                tr.appendChild(td);
+
+                const warningTd = document.createElement('td');
+                warningTd.classList.add('estimate-explanation');
+                tr.appendChild(warningTd);
+
+                const roundRow = { option, input, warningTd, eventId, round: Number(round) };
+                this.#roundRows.push(roundRow);
+
+                input.addEventListener('input', () => this.#updateWarning(roundRow));
+                this.#updateWarning(roundRow);
+
+                tbody.appendChild(tr);
+
+                // Creating the tr element here is odd, but intentional. The first round-specific row needs to be included in the same row as the multi-row event text.
+                tr = document.createElement('tr');
+            }
+
+            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+        }
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        this.div.appendChild(table);
+    }
+
+    /**
+     * TODO: comment
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Blank scorecards';
+        const id = 'numBlanks';
+        const desc = 'Enter the number of pages of blank scorecards to generate for each round. ' +
+            'For Fewest Moves and Multi-Blind, this is the number of pages for each attempt ' +
+            '(Fewest Moves solution sheets take up a full page). ' +
+            'Rounds without groups default to enough pages for the estimated number of competitors, plus one. ' +
+            'Rounds that look like they don\'t have enough pages are highlighted, and listed again before the download. ' +
+            'The defaults and highlights follow the number of scorecards per page chosen in the "Scorecards" tab.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class FormatBlanksOptionsTab extends OptionsTab {
+    /**
+     * Formats whose blank scorecards can have a cutoff line
+     * @type {string[]}
+     */
+    #cutoffFormats = ['a', 'm'];
+
+    /**
+     * Create an HTML input element for the number of pages
+     * @param {FormatBlanksOption} option - FormatBlanksOption object
+     * @returns {HTMLInputElement}
+     */
+    #createInput(option) {
+        const input = document.createElement('input');
+
+        input.type = option.inputType;
+        input.name = option.getId();
+
+        input.inputmode = 'numeric';
+        input.defaultValue = option.defaultValue;
+        input.min = 0;
+
+        input.classList.add('option-input');
+
+        input.addEventListener('beforeinput',
+            event => this.beforeinputEventListener(event));
+
+        return input;
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const table = document.createElement('table');
+        table.classList.add('options-table');
+
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+
+        for (const text of ['Format', 'Pages', 'Cutoff line']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            tr.appendChild(th);
+        }
+
+        thead.appendChild(tr);
+
+        const tbody = document.createElement('tbody');
+        const bgClasses = ['odd-row', 'even-row'];
+        let rowClassesInd = 0;
+
+        for (const [format, formatName] of Object.entries(blankFormatToName)) {
+            const row = document.createElement('tr');
+            row.classList.add(bgClasses[rowClassesInd]);
+
+            const cells = [formatName, null, null].map(text => {
+                const td = document.createElement('td');
+                td.textContent = text ?? '';
+                row.appendChild(td);
+                return td;
+            });
+
+            const pagesOption = new FormatBlanksOption(format, 0);
+            this.addOption(pagesOption);
+            cells[1].appendChild(this.#createInput(pagesOption));
+
+            if (this.#cutoffFormats.includes(format)) {
+                const cutoffOption = new ToggleOption(FormatBlanksOption.getCutoffToggleName(format), '', true);
+                this.addOption(cutoffOption);
+                cells[2].appendChild(this.createCheckbox(cutoffOption));
+            }
+
+            tbody.appendChild(row);
+
+            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+        }
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        this.div.appendChild(table);
+    }
+
+    /**
+     * Tab for blank scorecards that aren't tied to any event, e.g. for side events
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Format blanks';
+        const id = 'formatBlanks';
+        const desc = 'Enter the number of pages of blank scorecards to generate for each round format, ' +
+            'e.g. for side events or rounds that were added at the last minute. ' +
+            'These scorecards have the competition name, but the event, round, and time limit are left blank to be written in. ' +
+            'They are saved in their own PDF.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class RoomOptionsTab extends OptionsTab {
+    /**
+     * Create an HTML input element
+     * @param {RoomOption} option - RoomOption object
+     * @returns {HTMLInputElement}
+     */
+    #createInput(option) {
+        const input = document.createElement('input');
+
+        input.type = option.inputType;
+        input.name = option.getId();
+
+        input.defaultValue = option.defaultValue;
+        input.maxLength = 2;
+
+        input.classList.add('option-input');
+
+        return input;
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const rooms = this.wcif.getRoomNames();
+
+        // Create the table
+        const table = document.createElement('table');
+        table.classList.add('options-table');
 
         // Create the table header
         const thead = document.createElement('thead');
 
-        // TODO: clean this up
-        let tr;
-        let th;
+        // TODO: clean this up
+        let tr;
+        let th;
+
+        tr = document.createElement('tr');
+        th = document.createElement('th');
+        th.classList.add('options-table');
+        th.textContent = "Room";
+        tr.appendChild(th);
+
+        th = document.createElement('th');
+        th.textContent = "Abbreviation";
+        tr.appendChild(th);
+
+        thead.append(tr);
+
+        // TODO: add reset column
+
+        const tbody = document.createElement('tbody');
+        let input;
+        let td;
+
+        tr = document.createElement('tr');
+        const bgClasses = ['odd-row', 'even-row'];
+        let rowClassesInd = 0;
+
+        // TODO: support natscript stages, e.g. WesternChampionship2025
+        for (const room of rooms) {
+            let defaultValue;
+            if (rooms.length === 1) {
+                // No need to label the room if there's only one
+                defaultValue = '';
+            } else {
+                defaultValue = room[0].toUpperCase();
+            }
+
+            const option = new RoomOption(room, defaultValue);
+            this.addOption(option);
+
+            // Add table row
+            tr = document.createElement('tr');
+            tr.classList.add(bgClasses[rowClassesInd]);
+
+            td = document.createElement('td');
+            td.textContent = room;
+            tr.appendChild(td);
+
+            td = document.createElement('td');
+            input = this.#createInput(option);
+            td.appendChild(input);
+            tr.appendChild(td);
+
+            tbody.appendChild(tr);
+
+            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+        }
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        this.div.appendChild(table);
+    }
+
+    /**
+     * TODO: comment
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Rooms';
+        const id = 'roomAbbrs';
+        const desc = 'Enter an abbreviation (max 2 letters) for each room. ' +
+            'This will show up in the "Group" field of a scorecard. ' +
+            'If you\'d like, you can leave abbreviations blank.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv(wcif);
+    }
+}
+
+class EventNamesOptionsTab extends OptionsTab {
+    /**
+     * Create an HTML input element
+     * @param {EventNameOption} option - EventNameOption object
+     * @returns {HTMLInputElement}
+     */
+    #createInput(option) {
+        const input = document.createElement('input');
+
+        input.type = option.inputType;
+        input.name = option.getId();
+
+        input.defaultValue = option.defaultValue;
+        input.maxLength = 40;
+
+        input.classList.add('option-input');
+        input.classList.add('option-input--wide');
+
+        return input;
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const table = document.createElement('table');
+        table.classList.add('options-table');
+
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+
+        for (const text of ['Event ID', 'Name on scorecards']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            tr.appendChild(th);
+        }
+
+        thead.appendChild(tr);
+
+        const tbody = document.createElement('tbody');
+        const bgClasses = ['odd-row', 'even-row'];
+        let rowClassesInd = 0;
+
+        for (const eventId of this.wcif.getEventIds()) {
+            const option = new EventNameOption(eventId, this.wcif.getEventName(eventId));
+            this.addOption(option);
+
+            const row = document.createElement('tr');
+            row.classList.add(bgClasses[rowClassesInd]);
+
+            let td = document.createElement('td');
+            td.textContent = eventId;
+            row.appendChild(td);
+
+            td = document.createElement('td');
+            td.appendChild(this.#createInput(option));
+            row.appendChild(td);
+
+            tbody.appendChild(row);
+
+            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+        }
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        this.div.appendChild(table);
+    }
+
+    /**
+     * Tab for changing the event names printed on scorecards and in file names
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Event names';
+        const id = 'eventNames';
+        const desc = 'Change the name printed on the scorecards for any event, e.g. to name an unofficial event. ' +
+            'Leave a name blank to use the name from the WCIF.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class ScorecardOptionsTab extends OptionsTab {
+    /**
+     * Get the settings shown in the tab
+     *
+     * @returns {ToggleOption[]}
+     */
+    #getToggleOptions() {
+        const hasStations = this.wcif.hasStationNumbers();
+
+        return [
+            new ToggleOption('print-station', 'Print each competitor\'s station number', hasStations),
+            new ToggleOption('print-staff', 'Print each competitor\'s staff duties (judging, scrambling, running) for the event', false),
+        ];
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const list = document.createElement('div');
+        list.classList.add('toggle-list');
+
+        for (const option of this.#getToggleOptions()) {
+            this.addOption(option);
+
+            const label = document.createElement('label');
+            label.htmlFor = option.getId();
+            label.textContent = option.label;
+
+            const row = document.createElement('div');
+            row.classList.add('toggle-row');
+            row.appendChild(this.createCheckbox(option));
+            row.appendChild(label);
+
+            list.appendChild(row);
+        }
+
+        this.div.appendChild(list);
+        this.div.appendChild(this.#createSortRow());
+        this.div.appendChild(this.#createLayoutRow());
+        this.div.appendChild(this.#createPaperRow());
+        this.div.appendChild(this.#createCodeRow());
+        this.div.appendChild(this.#createDownloadRow());
+    }
+
+    /**
+     * Create the drop-down list for the order of the scorecards
+     * @returns {HTMLElement}
+     */
+    #createSortRow() {
+        const defaultOrder = this.wcif.hasStationNumbers() ? SortOrder.groupStation : SortOrder.groupName;
+        const option = new ScorecardSortOption(defaultOrder);
+
+        return this.#createSelectRow(option, 'Order of the scorecards in each round:');
+    }
+
+    /**
+     * Create the drop-down list for the number of scorecards on each page
+     * @returns {HTMLElement}
+     */
+    #createLayoutRow() {
+        const option = new ScorecardLayoutOption(String(defaultScPerPage));
+
+        return this.#createSelectRow(option, 'Scorecards per page (FMC solution sheets are always a full page):');
+    }
+
+    /**
+     * Create the drop-down list for the paper size
+     * @returns {HTMLElement}
+     */
+    #createPaperRow() {
+        const option = new PaperSizeOption(getDefaultPaperSize(this.wcif.getCountryIso2()));
+
+        return this.#createSelectRow(option, 'Paper size:');
+    }
+
+    /**
+     * Create the drop-down list for the machine-readable code on each scorecard
+     * @returns {HTMLElement}
+     */
+    #createCodeRow() {
+        const option = new MachineCodeOption(MachineCodeType.none);
+
+        return this.#createSelectRow(option, 'Code for data entry to scan:');
+    }
+
+    /**
+     * Create the drop-down list for how the scorecards are downloaded
+     * @returns {HTMLElement}
+     */
+    #createDownloadRow() {
+        const option = new DownloadOption(DownloadType.eventPdfs);
+
+        return this.#createSelectRow(option, 'Download as:');
+    }
+
+    /**
+     * Add an option with a drop-down list, and create a row with the list and its label
+     * @param {ScorecardSortOption | ScorecardLayoutOption | PaperSizeOption | MachineCodeOption | DownloadOption} option - Option with a list of choices
+     * @param {string} labelText - Text of the label
+     * @returns {HTMLElement}
+     */
+    #createSelectRow(option, labelText) {
+        this.addOption(option);
+
+        const select = document.createElement('select');
+        select.name = option.getId();
+        select.id = option.getId();
+        select.classList.add('option-input');
+        select.classList.add('option-input--wide');
+
+        for (const choice of option.choices) {
+            const optionElement = document.createElement('option');
+            optionElement.value = choice.value;
+            optionElement.textContent = choice.label;
+            optionElement.defaultSelected = choice.value === option.defaultValue;
+            select.appendChild(optionElement);
+        }
+
+        const label = document.createElement('label');
+        label.htmlFor = option.getId();
+        label.textContent = labelText;
+
+        const row = document.createElement('div');
+        row.classList.add('toggle-row');
+        row.appendChild(label);
+        row.appendChild(select);
+
+        return row;
+    }
+
+    /**
+     * Tab for choosing what's printed on each scorecard
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Scorecards';
+        const id = 'scorecardContents';
+        const desc = 'Choose what to print on each scorecard, the order of the scorecards, how many to print on each page, the paper size, and how to download them. ' +
+            'Scorecards are scaled to fit the paper, and the paper size defaults to the one used in the competition\'s country. ' +
+            'A ZIP file also has a manifest.json file listing the pages and scorecards in each PDF, and the options used. ' +
+            'Station numbers come from the group assignments in the WCIF, and are left blank for competitors without one. ' +
+            'Staff duties come from the staff assignments in the WCIF, and are printed at the bottom of the scorecard. ' +
+            'A QR code or Code 128 barcode has the competition ID, activity code, registrant ID and WCA ID separated by "|", ' +
+            'e.g. "WesternChampionship2026|333-r1-g2|12|2019SMIT01"; on blank scorecards it only has the competition ID and activity code. ' +
+            `A barcode's bars must print at least ${minBarWidthMm} mm wide and ${minBarHeightMm} mm tall to scan, ` +
+            'so it usually needs 1 scorecard per page (or 2, for a short competition ID). ' +
+            'If a barcode doesn\'t fit, nothing is downloaded and an error says to use a QR code or fewer scorecards per page.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class TemplateOptionsTab extends OptionsTab {
+    /**
+     * Drop-down list of templates
+     * @type {HTMLSelectElement}
+     */
+    #select;
+
+    /**
+     * Status of the uploaded template
+     * @type {HTMLElement}
+     */
+    #status;
+
+    /**
+     * Show the template list's entry for the uploaded template, or remove it
+     *
+     * @param {import('./templates.js').ScorecardTemplate | null} template - Uploaded template, or null to remove the entry
+     */
+    #setUploadedChoice(template) {
+        this.#select.querySelector(`option[value="${uploadedTemplateKey}"]`)?.remove();
+
+        if (template === null) {
+            this.#select.value = defaultTemplateKey;
+            return;
+        }
+
+        const optionElement = document.createElement('option');
+        optionElement.value = uploadedTemplateKey;
+        optionElement.textContent = `${template.name} (uploaded)`;
+        this.#select.appendChild(optionElement);
+        this.#select.value = uploadedTemplateKey;
+    }
+
+    /**
+     * Read a template file chosen by the user
+     *
+     * @param {Event} e - Event object (NOT a WCA event)
+     * @param {ScorecardTemplateOption} option - Option for the template
+     */
+    async #fileChangeEventListener(e, option) {
+        const file = e.target.files[0];
+
+        this.#status.classList.remove('results-status--error');
+
+        if (!file) {
+            option.setUploadedTemplate(null, null);
+            this.#setUploadedChoice(null);
+            this.#status.textContent = 'No template uploaded.';
+            return;
+        }
+
+        try {
+            const template = readTemplateFile(await file.text());
+
+            option.setUploadedTemplate(file.name, template);
+            this.#setUploadedChoice(template);
+            this.#status.textContent = `Uploaded the template "${template.name}" from ${file.name}.`;
+        } catch (err) {
+            if (!(err instanceof TemplateFileError))
+                console.log(err);
+
+            option.setUploadedTemplate(null, null);
+            this.#setUploadedChoice(null);
+            this.#status.textContent = err instanceof TemplateFileError
+                ? err.message
+                : 'Something went wrong while reading the template';
+            this.#status.classList.add('results-status--error');
+        }
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const option = new ScorecardTemplateOption(defaultTemplateKey);
+        this.addOption(option);
+
+        this.#select = document.createElement('select');
+        this.#select.name = option.getId();
+        this.#select.id = option.getId();
+        this.#select.classList.add('option-input');
+        this.#select.classList.add('option-input--wide');
+
+        for (const choice of option.choices) {
+            const optionElement = document.createElement('option');
+            optionElement.value = choice.value;
+            optionElement.textContent = choice.label;
+            optionElement.defaultSelected = choice.value === option.defaultValue;
+            this.#select.appendChild(optionElement);
+        }
+
+        const label = document.createElement('label');
+        label.htmlFor = option.getId();
+        label.textContent = 'Scorecard template:';
+
+        const selectRow = document.createElement('div');
+        selectRow.classList.add('toggle-row');
+        selectRow.appendChild(label);
+        selectRow.appendChild(this.#select);
+
+        // No name, since the template is read when the file is chosen rather than from the form data
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.classList.add('option-input');
+        input.classList.add('option-input--wide');
+        input.addEventListener('change', event => this.#fileChangeEventListener(event, option));
+
+        this.#status = document.createElement('p');
+        this.#status.classList.add('results-status');
+        this.#status.textContent = 'No template uploaded.';
+
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.textContent = 'Download the standard template';
+        downloadButton.classList.add('option-button');
+        downloadButton.addEventListener('click', () =>
+            downloadJson('scorecard_template.json', builtInTemplates[defaultTemplateKey]));
+
+        this.div.appendChild(selectRow);
+        this.div.appendChild(input);
+        this.div.appendChild(this.#status);
+        this.div.appendChild(downloadButton);
+    }
+
+    /**
+     * Tab for choosing or uploading the template that lays out the scorecards
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Template';
+        const id = 'scorecardTemplate';
+        const desc = 'Choose the template that lays out the scorecards, or upload your own. ' +
+            'A template is a JSON file with a "name", and "competitor" and "blank" lists of sections from top to bottom. ' +
+            'Each item is a section, e.g. { "section": "personName", "fontSize": 24 }, or empty space in points, e.g. { "skip": 7 }. ' +
+            'Leave a section out to leave it off the scorecards. ' +
+            'Multiblind scorecards and FMC solution sheets have their own lists ("mbfCompetitor", "mbfBlank", ' +
+            '"fmcCompetitor" and "fmcBlank"); leave them out to use the standard ones. ' +
+            'Each list can only use the sections of its kind of scorecard, e.g. only the FMC lists can use FMC sections. ' +
+            'Blank scorecards don\'t have a competitor, so the blank lists can\'t have personName, wcaId or fmcPerson. ' +
+            'Tables and FMC sections always use their own font. ' +
+            'Download the standard template to start from the usual layout.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class GroupsOptionsTab extends OptionsTab {
+    /**
+     * Create an HTML input element for the number of groups
+     * @param {GroupsPerRoomOption} option - GroupsPerRoomOption object
+     * @returns {HTMLInputElement}
+     */
+    #createGroupsInput(option) {
+        const input = document.createElement('input');
+
+        input.type = option.inputType;
+        input.name = option.getId();
+
+        input.inputmode = 'numeric';
+        input.defaultValue = option.defaultValue;
+        input.min = 1;
+
+        input.classList.add('option-input');
+
+        return input;
+    }
 
-        tr = document.createElement('tr');
-        th = document.createElement('th');
-        th.classList.add('options-table');
-        th.textContent = "Event";
-        tr.appendChild(th);
+    /**
+     * Get the settings for how competitors are put in groups
+     *
+     * @returns {ToggleOption[]}
+     */
+    #getSettingOptions() {
+        return [
+            new ToggleOption('groups-seed-pb', 'Seed by personal best, with the fastest competitors in the last groups', true),
+            new ToggleOption('groups-spread-new', 'Spread new competitors evenly across the groups', true),
+            new ToggleOption('groups-speedcubers-not-first', 'Keep the fastest 10% of competitors out of the first group', true),
+            new ToggleOption('export-wcif-patch', 'Also download the group assignments as a WCIF patch (JSON)', false),
+        ];
+    }
 
-        th = document.createElement('th');
-        th.textContent = "Round";
-        tr.appendChild(th);
+    /**
+     * Create the list of settings
+     * @returns {HTMLElement}
+     */
+    #createSettingsList() {
+        const list = document.createElement('div');
+        list.classList.add('toggle-list');
+
+        for (const option of this.#getSettingOptions()) {
+            this.addOption(option);
+
+            const label = document.createElement('label');
+            label.htmlFor = option.getId();
+            label.textContent = option.label;
+
+            const row = document.createElement('div');
+            row.classList.add('toggle-row');
+            row.appendChild(this.createCheckbox(option));
+            row.appendChild(label);
+
+            list.appendChild(row);
+        }
+
+        return list;
+    }
+
+    /**
+     * Create the table with a row for each round that groups can be generated for
+     * @returns {HTMLElement}
+     */
+    #createRoundsTable() {
+        const table = document.createElement('table');
+        table.classList.add('options-table');
+
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+
+        for (const text of ['Round', 'Generate groups', 'Competitors', 'Rooms', 'Groups per room']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            tr.appendChild(th);
+        }
 
-        th = document.createElement('th');
-        th.textContent = "Pages";
-        tr.appendChild(th);
         thead.appendChild(tr);
-        // TODO: add reset column
 
         const tbody = document.createElement('tbody');
-        let input;
-        let td;
-
-        tr = document.createElement('tr');
         const bgClasses = ['odd-row', 'even-row'];
         let rowClassesInd = 0;
 
-        for (const eventId of Object.keys(numBlankPagesObj)) {
-            const eventDict = numBlankPagesObj[eventId];
+        for (const { eventId, round } of getGeneratableRounds(this.wcif)) {
+            const roomNames = this.wcif.getRoundRoomNames(eventId, round);
+
+            const row = document.createElement('tr');
+            row.classList.add(bgClasses[rowClassesInd]);
+
+            const cells = [
+                `${this.wcif.getEventShortName(eventId)} Round ${round}`,
+                null,
+                String(this.wcif.getRegisteredCompetitorIds(eventId).length),
+                roomNames.join(', '),
+                null,
+            ].map(text => {
+                const td = document.createElement('td');
+                td.textContent = text ?? '';
+                row.appendChild(td);
+                return td;
+            });
+
+            if (roomNames.length === 0) {
+                // Without the round's activity, there's no room or time to put the groups in
+                cells[1].textContent = 'No activity in the schedule';
+            } else {
+                const toggleOption = new ToggleOption(getGenerateToggleName(eventId, round), '', false);
+                const groupsOption = new GroupsPerRoomOption(eventId, round,
+                    getDefaultGroupsPerRoom(this.wcif, eventId, round));
+                this.addOption(toggleOption);
+                this.addOption(groupsOption);
+
+                cells[1].appendChild(this.createCheckbox(toggleOption));
+                cells[4].appendChild(this.#createGroupsInput(groupsOption));
+            }
 
-            td = document.createElement('td');
-            td.textContent = WCIF.eventIdToShortName[eventId];
-            td.rowSpan = Object.keys(eventDict).length;
-            tr.appendChild(td);
+            tbody.appendChild(row);
 
-            for (const round of Object.keys(eventDict)) {
-                // Create option object
-                const defaultValue = eventDict[round];
-                const option = new RoundBlanksOption(eventId, round, defaultValue);
-                this.addOption(option);
+            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+        }
 
-                // Finish table row
-                tr.classList.add(bgClasses[rowClassesInd]);
+        table.appendChild(thead);
+        table.appendChild(tbody);
 
-                td = document.createElement('td');
-                td.textContent = round;
-                tr.appendChild(td);
+        return table;
+    }
 
-                td = document.createElement('td');
-                input = this.#createInput(option);
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        this.div.appendChild(this.#createSettingsList());
 
-                td.appendChild(input);
-                tr.appendChild(td);
+        if (getGeneratableRounds(this.wcif).length === 0) {
+            const p = document.createElement('p');
+            p.textContent = 'Every first round already has groups in the WCIF.';
+            this.div.appendChild(p);
+            return;
+        }
 
-                tbody.appendChild(tr);
+        this.div.appendChild(this.#createRoundsTable());
+    }
 
-                // Creating the tr element here is odd, but intentional. The first round-specific row needs to be included in the same row as the multi-row event text.
-                tr = document.createElement('tr');
+    /**
+     * Tab for assigning competitors to groups when the WCIF doesn't have groups
+     * @param {WCIF} wcif - WCIF object
+     */
+    constructor(wcif) {
+        const tabName = 'Groups';
+        const id = 'groupGenerator';
+        const desc = 'Assign competitors to groups for first rounds that don\'t have groups in the WCIF. ' +
+            'Each room of the round gets the same number of groups; the schedule\'s groups are used when a room has that many. ' +
+            'Competitors in groups with the same number are split evenly between the rooms. ' +
+            'Rounds that aren\'t generated get blank scorecards as usual.';
+
+        super(tabName, id, desc, wcif);
+
+        this.#finishDiv();
+    }
+}
+
+class GroupsCsvOptionsTab extends OptionsTab {
+    /**
+     * Summary of the last import
+     * @type {HTMLElement}
+     */
+    #summary;
+
+    /**
+     * Table of problems found in the last import
+     * @type {HTMLTableElement}
+     */
+    #problemsTable;
+
+    /**
+     * Show the result of importing a CSV file
+     *
+     * @param {string} summary - Summary of the import, or the reason the file couldn't be read
+     * @param {import('./group_import.js').ImportProblem[]} problems - Rows that couldn't be used or that conflict with another row
+     */
+    #showImportResult(summary, problems) {
+        this.#summary.textContent = summary;
+
+        const tbody = this.#problemsTable.tBodies[0];
+        tbody.replaceChildren();
+
+        for (const problem of problems) {
+            const row = document.createElement('tr');
+            row.classList.add('issue-warning');
+
+            for (const text of [String(problem.rowNum), problem.message]) {
+                const td = document.createElement('td');
+                td.textContent = text;
+                row.appendChild(td);
             }
 
-            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+            tbody.appendChild(row);
         }
 
-        table.appendChild(thead);
-        table.appendChild(tbody);
-        this.div.appendChild(table);
+        this.#problemsTable.hidden = problems.length === 0;
     }
 
     /**
-     * TODO: comment
+     * Read a CSV file chosen by the user
+     *
+     * @param {Event} e - Event object (NOT a WCA event)
+     * @param {GroupsCsvOption} option - Option for the imported assignments
+     */
+    async #fileChangeEventListener(e, option) {
+        const file = e.target.files[0];
+
+        if (!file) {
+            option.value = null;
+            this.#showImportResult('No file imported; the groups in the WCIF are used.', []);
+            return;
+        }
+
+        try {
+            const { assignments, problems } = readGroupsCsv(this.wcif, await file.text());
+            const numRounds = new Set(assignments.map(x => `${x.eventId}-r${x.round}`)).size;
+
+            option.value = assignments;
+            this.#showImportResult(
+                `Imported ${assignments.length} assignments for ${numRounds} rounds from ${file.name}. ` +
+                (problems.length === 0 ? 'No problems found.' : `${problems.length} rows have problems:`),
+                problems);
+        } catch (err) {
+            if (!(err instanceof GroupsFileError))
+                console.log(err);
+
+            option.value = null;
+            this.#showImportResult(err instanceof GroupsFileError
+                ? err.message
+                : 'Something went wrong while reading the CSV file', []);
+        }
+    }
+
+    /**
+     * Finish generating the HTML content for the tab
+     */
+    #finishDiv() {
+        const option = new GroupsCsvOption();
+        this.addOption(option);
+
+        // No name, since the assignments are read when the file is chosen rather than from the form data
+        const input = document.createElement('input');
+        input.type = option.inputType;
+        input.accept = '.csv,text/csv';
+        input.classList.add('option-input');
+        input.classList.add('option-input--wide');
+        input.addEventListener('change', event => this.#fileChangeEventListener(event, option));
+
+        this.#summary = document.createElement('p');
+        this.#summary.classList.add('results-status');
+
+        this.#problemsTable = document.createElement('table');
+        this.#problemsTable.classList.add('options-table');
+
+        const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
+
+        for (const text of ['Row', 'Problem']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            tr.appendChild(th);
+        }
+
+        thead.appendChild(tr);
+        this.#problemsTable.appendChild(thead);
+        this.#problemsTable.appendChild(document.createElement('tbody'));
+
+        this.div.appendChild(input);
+        this.div.appendChild(this.#summary);
+        this.div.appendChild(this.#problemsTable);
+
+        this.#showImportResult('No file imported; the groups in the WCIF are used.', []);
+    }
+
+    /**
+     * Tab for importing group assignments from a spreadsheet
      * @param {WCIF} wcif - WCIF object
      */
     constructor(wcif) {
-        const tabName = 'Blank scorecards';
-        const id = 'numBlanks';
-        const desc = 'Enter the number of pages of blank scorecards to generate for each round.';
+        const tabName = 'Import groups';
+        const id = 'groupsCsv';
+        const desc = 'Import group assignments from a CSV file, e.g. exported from a spreadsheet. ' +
+            'Use a "Registrant ID" or "WCA ID" column, "Event", "Round" and "Group" columns, ' +
+            'and optionally "Room" and "Station" columns. ' +
+            'Every round in the file gets its groups from the file instead of the WCIF; other rounds keep the WCIF\'s groups. ' +
+            'Groups that aren\'t in the schedule are added to the room of the round.';
 
         super(tabName, id, desc, wcif);
 
@@ -413,20 +2060,121 @@ class BlanksOptionsTab extends OptionsTab {
     }
 }
 
-class RoomOptionsTab extends OptionsTab {
+class ResultsOptionsTab extends OptionsTab {
     /**
-     * Create an HTML input element
-     * @param {RoomOption} option - RoomOption object
+     * Get the status text for a round that doesn't have imported results
+     *
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     * @returns {string}
+     */
+    #getDefaultStatus(eventId, round) {
+        if (this.wcif.groupsAreAssigned(eventId, round + 1))
+            return `Using the round ${round + 1} groups from the WCIF`;
+
+        const wcifResults = getWcifResults(this.wcif, eventId, round);
+
+        if (wcifResults.length === 0)
+            return 'No results';
+
+        return this.#getResultsStatus('WCIF', eventId, round, wcifResults);
+    }
+
+    /**
+     * Get the status text for a round with results
+     *
+     * @param {string} source - Where the results came from, e.g. a file name
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     * @param {RoundResult[]} results - Results of the round
+     * @returns {string}
+     */
+    #getResultsStatus(source, eventId, round, results) {
+        const numAdvancing = getAdvancingRegistrantIds(this.wcif, eventId, round, results).length;
+
+        return `${results.length} results from ${source}; ${numAdvancing} advance to round ${round + 1}`;
+    }
+
+    /**
+     * Read a results file chosen by the user, and show how many competitors advance
+     *
+     * @param {Event} e - Event object (NOT a WCA event)
+     * @param {RoundResultsOption} option - Option for the round's results
+     * @param {HTMLElement} statusCell - Table cell to show the status in
+     */
+    async #fileChangeEventListener(e, option, statusCell) {
+        const file = e.target.files[0];
+        const eventId = option.eventId;
+        const round = option.round;
+
+        statusCell.classList.remove('results-status--error');
+
+        if (!file) {
+            option.setResults(null, null);
+            statusCell.textContent = this.#getDefaultStatus(eventId, round);
+            return;
+        }
+
+        try {
+            const results = readResultsFile(this.wcif, eventId, round, file.name, await file.text());
+
+            option.setResults(file.name, results);
+            statusCell.textContent = this.#getResultsStatus(file.name, eventId, round, results);
+        } catch (err) {
+            if (!(err instanceof ResultsFileError))
+                console.log(err);
+
+            option.setResults(null, null);
+            statusCell.textContent = err instanceof ResultsFileError
+                ? err.message
+                : 'Something went wrong while reading the results file';
+            statusCell.classList.add('results-status--error');
+        }
+    }
+
+    /**
+     * Create an HTML file input element
+     * @param {RoundResultsOption} option - RoundResultsOption object
+     * @param {HTMLElement} statusCell - Table cell to show the status in
      * @returns {HTMLInputElement}
      */
-    #createInput(option) {
+    #createFileInput(option, statusCell) {
+        const input = document.createElement('input');
+
+        // No name, since the results are read when the file is chosen rather than from the form data
+        input.type = option.inputType;
+        input.accept = '.json,.csv,application/json,text/csv';
+
+        input.classList.add('option-input');
+        input.classList.add('option-input--wide');
+
+        input.addEventListener('change',
+            event => this.#fileChangeEventListener(event, option, statusCell));
+
+        return input;
+    }
+
+    /**
+     * Create an HTML input element for the number of groups
+     * @param {NextRoundGroupsOption} option - NextRoundGroupsOption object
+     * @param {string} eventId - Event ID, e.g. '333'
+     * @param {number} round - Round number of the finished round
+     * @returns {HTMLInputElement}
+     */
+    #createGroupsInput(option, eventId, round) {
         const input = document.createElement('input');
 
         input.type = option.inputType;
         input.name = option.getId();
 
+        input.inputmode = 'numeric';
         input.defaultValue = option.defaultValue;
-        input.maxLength = 2;
+        input.min = 1;
+
+        const numScheduleGroups = this.wcif.getGroupActIds(eventId, round + 1)
+            .filter(actId => this.wcif.getGroupNum(actId) !== null)
+            .length;
+        input.placeholder = String(Math.max(numScheduleGroups, 1));
 
         input.classList.add('option-input');
 
@@ -437,70 +2185,56 @@ class RoomOptionsTab extends OptionsTab {
      * Finish generating the HTML content for the tab
      */
     #finishDiv() {
-        const rooms = this.wcif.getRoomNames();
-
-        // Create the table
         const table = document.createElement('table');
         table.classList.add('options-table');
 
-        // Create the table header
         const thead = document.createElement('thead');
+        const tr = document.createElement('tr');
 
-        // TODO: clean this up
-        let tr;
-        let th;
-
-        tr = document.createElement('tr');
-        th = document.createElement('th');
-        th.classList.add('options-table');
-        th.textContent = "Room";
-        tr.appendChild(th);
-
-        th = document.createElement('th');
-        th.textContent = "Abbreviation";
-        tr.appendChild(th);
-
-        thead.append(tr);
+        for (const text of ['Round', 'Results file', 'Status', 'Groups in next round']) {
+            const th = document.createElement('th');
+            th.textContent = text;
+            tr.appendChild(th);
+        }
 
-        // TODO: add reset column
+        thead.appendChild(tr);
 
         const tbody = document.createElement('tbody');
-        let input;
-        let td;
-
-        tr = document.createElement('tr');
         const bgClasses = ['odd-row', 'even-row'];
         let rowClassesInd = 0;
 
-        // TODO: support natscript stages, e.g. WesternChampionship2025
-        for (const room of rooms) {
-            let defaultValue;
-            if (rooms.length === 1) {
-                // No need to label the room if there's only one
-                defaultValue = '';
-            } else {
-                defaultValue = room[0].toUpperCase();
-            }
+        for (const eventId of this.wcif.getEventIds()) {
+            // The last round has no next round to generate scorecards for
+            for (let round = 1; round < this.wcif.getNumRounds(eventId); round++) {
+                const resultsOption = new RoundResultsOption(eventId, round);
+                const groupsOption = new NextRoundGroupsOption(eventId, round);
+                this.addOption(resultsOption);
+                this.addOption(groupsOption);
 
-            const option = new RoomOption(room, defaultValue);
-            this.addOption(option);
+                const row = document.createElement('tr');
+                row.classList.add(bgClasses[rowClassesInd]);
 
-            // Add table row
-            tr = document.createElement('tr');
-            tr.classList.add(bgClasses[rowClassesInd]);
+                const roundCell = document.createElement('td');
+                roundCell.textContent = `${this.wcif.getEventShortName(eventId)} Round ${round}`;
 
-            td = document.createElement('td');
-            td.textContent = room;
-            tr.appendChild(td);
+                const statusCell = document.createElement('td');
+                statusCell.textContent = this.#getDefaultStatus(eventId, round);
+                statusCell.classList.add('results-status');
 
-            td = document.createElement('td');
-            input = this.#createInput(option);
-            td.appendChild(input);
-            tr.appendChild(td);
+                const fileCell = document.createElement('td');
+                fileCell.appendChild(this.#createFileInput(resultsOption, statusCell));
 
-            tbody.appendChild(tr);
+                const groupsCell = document.createElement('td');
+                groupsCell.appendChild(this.#createGroupsInput(groupsOption, eventId, round));
 
-            rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+                row.appendChild(roundCell);
+                row.appendChild(fileCell);
+                row.appendChild(statusCell);
+                row.appendChild(groupsCell);
+                tbody.appendChild(row);
+
+                rowClassesInd = (rowClassesInd + 1) % (bgClasses.length);
+            }
         }
 
         table.appendChild(thead);
@@ -509,19 +2243,24 @@ class RoomOptionsTab extends OptionsTab {
     }
 
     /**
-     * TODO: comment
+     * Tab for importing the results of finished rounds, to print named scorecards for the next round
      * @param {WCIF} wcif - WCIF object
      */
     constructor(wcif) {
-        const tabName = 'Rooms';
-        const id = 'roomAbbrs';
-        const desc = 'Enter an abbreviation (max 2 letters) for each room. ' +
-            'This will show up in the "Group" field of a scorecard. ' +
-            'If you\'d like, you can leave abbreviations blank.';
+        const tabName = 'Results';
+        const id = 'roundResults';
+        const desc = 'Import the results of a finished round to print named scorecards for the next round. ' +
+            'Use a CSV or JSON export from WCA Live, or a WCIF with results. ' +
+            'In a CSV file, whole numbers are read as seconds for timed events, and as moves for FMC. ' +
+            'Who advances is worked out from the round\'s advancement condition, ' +
+            'and the best competitors are put in the last group. ' +
+            'Tied competitors only advance if all of them can. ' +
+            'Leave the number of groups blank to use the groups in the schedule. ' +
+            'Imported results replace any groups for the next round in the WCIF.';
 
         super(tabName, id, desc, wcif);
 
-        this.#finishDiv(wcif);
+        this.#finishDiv();
     }
 }
 
@@ -533,9 +2272,30 @@ class RoomOptionsTab extends OptionsTab {
 export function optTabsCreate(wcif) {
     const tabClasses = [
         HelpOptionsTab,
+        ChecksOptionsTab,
         RoomOptionsTab,
         BlanksOptionsTab,
+        FormatBlanksOptionsTab,
+        ScorecardOptionsTab,
+        TemplateOptionsTab,
+        GroupsOptionsTab,
+        GroupsCsvOptionsTab,
+        ResultsOptionsTab,
+        EventNamesOptionsTab,
     ];
 
-    return tabClasses.map(cls => new cls(wcif));
+    const optionsTabArr = tabClasses.map(cls => new cls(wcif));
+
+    // The blank scorecard page counts depend on the layout chosen in the "Scorecards" tab
+    const scorecardTab = optionsTabArr.find(x => x instanceof ScorecardOptionsTab);
+    const blanksTab = optionsTabArr.find(x => x instanceof BlanksOptionsTab);
+    const layoutOption = scorecardTab.options.find(x => x instanceof ScorecardLayoutOption);
+    const layoutSelect = scorecardTab.div.querySelector(`#${layoutOption.getId()}`);
+
+    layoutSelect.addEventListener('change', () => {
+        layoutOption.value = layoutSelect.value;
+        blanksTab.setLayoutOption(layoutOption);
+    });
+
+    return optionsTabArr;
 }
\ No newline at end of file
@@ -0,0 +1,498 @@
+/**
+ * @module results
+ * @description Reading the results of a finished round, and working out who advances to the next round
+ * @author David Karalli
+ */
+
+import { WCIF } from './wcif.js';
+import { Option, RoundResultsOption, NextRoundGroupsOption } from './options.js'
+import { parseCsv, normalizeHeader } from './csv.js';
+
+/**
+ * Result of one competitor in a round, in the same units as WCIF attempt results
+ */
+export class RoundResult {
+    /** @type {number} */
+    registrantId;
+    /**
+     * Place in the round, or null if the results file doesn't have it
+     * @type {number | null}
+     */
+    ranking;
+    /**
+     * Best attempt result; 0 if there's no result, -1 for DNF and -2 for DNS
+     * @type {number}
+     */
+    best;
+    /**
+     * Average or mean; 0 if there's no average (e.g. Best of X rounds, or the competitor didn't make the cutoff)
+     * @type {number}
+     */
+    average;
+
+    /**
+     * @param {number} registrantId - Registrant ID of the competitor
+     * @param {number | null} ranking - Place in the round
+     * @param {number} best - Best attempt result
+     * @param {number} average - Average or mean
+     */
+    constructor(registrantId, ranking, best, average) {
+        this.registrantId = registrantId;
+        this.ranking = ranking;
+        this.best = best;
+        this.average = average;
+    }
+}
+
+/**
+ * Error for a results file that can't be read
+ */
+export class ResultsFileError extends Error {
+    /**
+     * @param {string} message - Description of the problem, shown to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/* Reading results */
+
+/**
+ * Get the best of a list of attempt results
+ *
+ * @param {number[]} attempts - Attempt results
+ * @returns {number} 0 if there are no attempts, and -1 if there's no successful attempt
+ */
+function getBest(attempts) {
+    const successes = attempts.filter(x => x > 0);
+
+    if (successes.length !== 0)
+        return Math.min(...successes);
+
+    return attempts.length === 0 ? 0 : -1;
+}
+
+/**
+ * Convert a result from a results file to a WCIF attempt result
+ *
+ * Results are read as they're written on scorecards, e.g. '12.34' or '1:02.34' for times, '28' for FMC moves,
+ * '28.33' for an FMC mean, or '9/10 45:12' for multiblind. Whole numbers are read by what the column has:
+ * seconds for times, moves for an FMC attempt, and a whole number of moves for an FMC mean. Multiblind attempts
+ * can also be WCIF attempt results, e.g. 580325400
+ *
+ * @param {string} resultFormat - What results are measured in: 'time', 'number' (moves) or 'multi' (multiblind points)
+ * @param {string} text - Result text
+ * @param {bool} isAverage - Whether the result is from an average (or mean) column
+ * @returns {number}
+ */
+export function parseResultText(resultFormat, text, isAverage = false) {
+    const trimmed = text.trim().toUpperCase();
+
+    if (trimmed === '')
+        return 0;
+    if (trimmed === 'DNF' || trimmed === '-1')
+        return -1;
+    if (trimmed === 'DNS' || trimmed === '-2')
+        return -2;
+
+    const isWholeNumber = /^\d+$/.test(trimmed);
+
+    if (resultFormat === 'number') {
+        if (isWholeNumber)
+            return isAverage ? Number(trimmed) * 100 : Number(trimmed);
+
+        // Only a mean has hundredths of a move
+        if (isAverage && /^\d+\.\d{1,2}$/.test(trimmed))
+            return Math.round(Number(trimmed) * 100);
+
+        throw new ResultsFileError(`Can't read the result '${text}' as a number of moves`);
+    }
+
+    if (isWholeNumber) {
+        if (resultFormat === 'time')
+            return Number(trimmed) * 100;
+
+        if (resultFormat === 'multi' && !isAverage)
+            return Number(trimmed);
+
+        throw new ResultsFileError(`Can't read the whole number '${text}' as ${isAverage ? 'an average' : 'a result'}`);
+    }
+
+    const timeMatch = /^(?:(\d+):)?(\d{1,2})(?:\.(\d{1,2}))?$/.exec(trimmed.split(' ').at(-1));
+
+    if (timeMatch !== null) {
+        const minutes = Number(timeMatch[1] ?? 0);
+        const seconds = Number(timeMatch[2]);
+        const centisec = Number((timeMatch[3] ?? '0').padEnd(2, '0'));
+
+        if (resultFormat !== 'multi')
+            return (minutes * 60 + seconds) * 100 + centisec;
+
+        // Multiblind: 'solved/attempted time' encoded as 0DDTTTTTMM (see the WCIF specification)
+        const cubesMatch = /^(\d+)\/(\d+)\s/.exec(trimmed);
+
+        if (cubesMatch !== null) {
+            const solved = Number(cubesMatch[1]);
+            const missed = Number(cubesMatch[2]) - solved;
+            const points = solved - missed;
+
+            return (99 - points) * 1e7 + (minutes * 60 + seconds) * 100 + missed;
+        }
+    }
+
+    throw new ResultsFileError(`Can't read the result '${text}'`);
+}
+
+/**
+ * Read one result object from a JSON results file
+ *
+ * Accepts WCIF results ({ personId, ranking, attempts: [{ result }], best, average }) and WCA Live-style
+ * results, which name the competitor with a person object ({ person: { registrantId, wcaId }, ... })
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {object} resultObj - Result object
+ * @returns {RoundResult}
+ */
+function readJsonResult(wcif, resultObj) {
+    const wcaId = resultObj.wcaId ?? resultObj.person?.wcaId ?? null;
+    let registrantId = resultObj.registrantId ?? resultObj.personId ?? resultObj.person?.registrantId ?? null;
+
+    if (registrantId === null && wcaId !== null)
+        registrantId = wcif.getRegistrantIdFromWcaId(wcaId);
+
+    if (registrantId === null || !wcif.hasPerson(Number(registrantId)))
+        throw new ResultsFileError(`A result is for someone who isn't registered: ${JSON.stringify(resultObj).slice(0, 100)}`);
+
+    const attempts = (resultObj.attempts ?? [])
+        .map(x => typeof x === 'number' ? x : x.result);
+
+    return new RoundResult(
+        Number(registrantId),
+        resultObj.ranking ?? null,
+        resultObj.best ?? getBest(attempts),
+        resultObj.average ?? 0,
+    );
+}
+
+/**
+ * Read the results of a round from a CSV file
+ *
+ * The first row names the columns. The competitor is found by a registrant ID column ('Registrant ID', 'ID')
+ * or a 'WCA ID' column. Results come from 'Best' and 'Average' columns, or from attempt columns ('Attempt 1' or '1', ...).
+ * A 'Ranking' (or 'Place') column is optional
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {string} text - CSV text
+ * @returns {RoundResult[]}
+ */
+function readCsvResults(wcif, eventId, text) {
+    const [headerRow, ...rows] = parseCsv(text);
+
+    if (headerRow === undefined)
+        throw new ResultsFileError('The CSV file is empty');
+
+    const headers = headerRow.map(normalizeHeader);
+    const findColumn = names => headers.findIndex(x => names.includes(x));
+
+    const idCol = findColumn(['registrantid', 'id', 'personid', 'competitorid']);
+    const wcaIdCol = findColumn(['wcaid']);
+    const rankingCol = findColumn(['ranking', 'rank', 'place', 'pos', 'position']);
+    const bestCol = findColumn(['best', 'single']);
+    const averageCol = findColumn(['average', 'mean', 'avg']);
+    const attemptCols = headers
+        .map((x, i) => /^(attempt|value|solve)?[1-5]$/.test(x) ? i : null)
+        .filter(x => x !== null);
+
+    if (idCol === -1 && wcaIdCol === -1)
+        throw new ResultsFileError('The CSV file needs a "Registrant ID" or "WCA ID" column');
+
+    if (bestCol === -1 && attemptCols.length === 0)
+        throw new ResultsFileError('The CSV file needs a "Best" column or attempt columns ("Attempt 1", "Attempt 2", ...)');
+
+    const resultFormat = wcif.getEventResultFormat(eventId);
+    const readCell = (row, col) => col === -1 ? '' : (row[col] ?? '');
+
+    return rows.map((row, i) => {
+        let registrantId = null;
+
+        if (idCol !== -1 && readCell(row, idCol).trim() !== '')
+            registrantId = Number(readCell(row, idCol));
+        else if (wcaIdCol !== -1)
+            registrantId = wcif.getRegistrantIdFromWcaId(readCell(row, wcaIdCol).trim().toUpperCase());
+
+        if (registrantId === null || !wcif.hasPerson(registrantId))
+            throw new ResultsFileError(`Row ${i + 2} of the CSV file is for someone who isn't registered`);
+
+        const attempts = attemptCols.map(col => parseResultText(resultFormat, readCell(row, col)));
+        const best = bestCol === -1 ? getBest(attempts) : parseResultText(resultFormat, readCell(row, bestCol));
+        const average = averageCol === -1 ? 0 : parseResultText(resultFormat, readCell(row, averageCol), true);
+        const rankingText = readCell(row, rankingCol).trim();
+
+        return new RoundResult(
+            registrantId,
+            rankingText === '' ? null : Number(rankingText),
+            best,
+            average,
+        );
+    });
+}
+
+/**
+ * Read the results of a round from a results file
+ *
+ * Accepts a WCIF (the round's results are used), a JSON array of results, a JSON object with a 'results' array
+ * (like a WCA Live export), or a CSV file
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {string} fileName - Name of the file, used to tell CSV from JSON
+ * @param {string} text - Contents of the file
+ * @returns {RoundResult[]}
+ */
+export function readResultsFile(wcif, eventId, round, fileName, text) {
+    if (fileName.toLowerCase().endsWith('.csv'))
+        return readCsvResults(wcif, eventId, text);
+
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new ResultsFileError('The file isn\'t valid JSON or CSV');
+    }
+
+    let resultObjs;
+
+    if (WCIF.isWcif(data)) {
+        const roundObj = data.events
+            .find(x => x.id === eventId)
+            ?.rounds.find(x => x.id === `${eventId}-r${round}`);
+
+        resultObjs = roundObj?.results ?? [];
+    } else if (Array.isArray(data)) {
+        resultObjs = data;
+    } else if (Array.isArray(data?.results)) {
+        resultObjs = data.results;
+    } else {
+        throw new ResultsFileError('The JSON file doesn\'t have a list of results');
+    }
+
+    if (resultObjs.length === 0)
+        throw new ResultsFileError('The file doesn\'t have any results for the round');
+
+    return resultObjs.map(x => readJsonResult(wcif, x));
+}
+
+/**
+ * Get the results of a round that are in the WCIF, e.g. when the WCIF was exported after the round
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {RoundResult[]} Empty if the WCIF has no results for the round
+ */
+export function getWcifResults(wcif, eventId, round) {
+    return wcif.getRoundResults(eventId, round)
+        .filter(x => wcif.hasPerson(x.personId))
+        .map(x => readJsonResult(wcif, x));
+}
+
+/* Advancement */
+
+/**
+ * Return true if the round is ranked by average (Average of 5 and Mean of 3 rounds), false if it's ranked by best
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {bool}
+ */
+function isRankedByAverage(wcif, eventId, round) {
+    return ['a', 'm'].includes(wcif.getFormat(eventId, round));
+}
+
+/**
+ * Sort results from best to worst, and fill in missing rankings. Competitors with the same results get the same ranking
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {RoundResult[]} results - Results of the round
+ * @returns {RoundResult[]} New array of results
+ */
+function rankResults(wcif, eventId, round, results) {
+    const byAverage = isRankedByAverage(wcif, eventId, round);
+    const sortValue = x => x > 0 ? x : Infinity;
+
+    function compare(a, b) {
+        if (byAverage && sortValue(a.average) !== sortValue(b.average))
+            return sortValue(a.average) - sortValue(b.average);
+
+        if (sortValue(a.best) !== sortValue(b.best))
+            return sortValue(a.best) - sortValue(b.best);
+
+        return 0;
+    }
+
+    const sorted = [...results].sort((a, b) => {
+        if (a.ranking !== null && b.ranking !== null)
+            return a.ranking - b.ranking;
+
+        return compare(a, b);
+    });
+
+    const ranked = [];
+
+    // Compare with the previous competitor as ranked here, since their ranking may have just been filled in
+    for (const [i, result] of sorted.entries()) {
+        if (result.ranking !== null) {
+            ranked.push(result);
+            continue;
+        }
+
+        const prev = ranked[i - 1];
+        const ranking = i > 0 && compare(prev, result) === 0 ? prev.ranking : i + 1;
+
+        ranked.push(new RoundResult(result.registrantId, ranking, result.best, result.average));
+    }
+
+    return ranked;
+}
+
+/**
+ * Work out who advances to the next round from a round's results, using the round's advancement condition
+ *
+ * At most 75% of the round can advance (regulation 9p1), and only competitors with a successful attempt.
+ * If the round has no advancement condition, the most allowed (75%) advance. Tied competitors advance together or
+ * not at all, so a tie that would go past a limit doesn't advance
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number of the finished round
+ * @param {RoundResult[]} results - Results of the round
+ * @returns {number[]} Registrant IDs of the competitors who advance, from best to worst
+ */
+export function getAdvancingRegistrantIds(wcif, eventId, round, results) {
+    const ranked = rankResults(wcif, eventId, round, results);
+    const maxRanking = Math.floor(results.length * 0.75);
+    const advanceObj = wcif.getAdvancementCondition(eventId, round);
+    const byAverage = isRankedByAverage(wcif, eventId, round);
+
+    // Number of competitors ranked the same or better, i.e. how many advance if this ranking does
+    const rankingToCount = new Map();
+    for (const result of ranked)
+        rankingToCount.set(result.ranking, ranked.filter(x => x.ranking <= result.ranking).length);
+
+    function meetsCondition(result) {
+        switch (advanceObj?.type) {
+            case 'ranking':
+                return rankingToCount.get(result.ranking) <= advanceObj.level;
+            case 'percent':
+                return rankingToCount.get(result.ranking) <= Math.floor(results.length * (advanceObj.level / 100));
+            case 'attemptResult': {
+                const value = byAverage ? result.average : result.best;
+                return value > 0 && value < advanceObj.level;
+            }
+            default:
+                return true;
+        }
+    }
+
+    return ranked
+        .filter(x => x.best > 0 && rankingToCount.get(x.ranking) <= maxRanking && meetsCondition(x))
+        .map(x => x.registrantId);
+}
+
+/**
+ * Split competitors into groups, with the best competitors in the last group
+ *
+ * @param {number[]} registrantIds - Registrant IDs, from best to worst
+ * @param {number} numGroups - Number of groups
+ * @returns {number[][]} Registrant IDs for each group, in group order
+ */
+export function splitIntoGroups(registrantIds, numGroups) {
+    const worstFirst = [...registrantIds].reverse();
+    const groups = [];
+    let start = 0;
+
+    for (let i = 0; i < numGroups; i++) {
+        // Earlier groups get the extra competitors when they don't split evenly
+        const size = Math.ceil((worstFirst.length - start) / (numGroups - i));
+        groups.push(worstFirst.slice(start, start + size));
+        start += size;
+    }
+
+    return groups;
+}
+
+/**
+ * Get the results to use for a round: imported results, or else results in the WCIF if the next round doesn't have groups yet
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {RoundResult[] | null} null if there are no results to use
+ */
+function getResultsToUse(wcif, optionsObj, eventId, round) {
+    const importedResults = optionsObj[RoundResultsOption.genId(eventId, round)]?.value ?? null;
+
+    if (importedResults !== null)
+        return importedResults;
+
+    // Groups in the WCIF are kept unless the user imported results
+    if (wcif.groupsAreAssigned(eventId, round + 1))
+        return null;
+
+    const wcifResults = getWcifResults(wcif, eventId, round);
+
+    return wcifResults.length === 0 ? null : wcifResults;
+}
+
+/**
+ * Assign the competitors who advance from each round with results to groups in the next round
+ *
+ * Competitors are split into the next round's groups from the schedule, or into the number of groups the user picked
+ * (using the schedule's groups first).
+ * The assignments replace the next round's assignments in the WCIF object
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ */
+export function applyResultsOptions(wcif, optionsObj) {
+    for (const eventId of wcif.getEventIds()) {
+        for (let round = 1; round < wcif.getNumRounds(eventId); round++) {
+            const results = getResultsToUse(wcif, optionsObj, eventId, round);
+
+            if (results === null)
+                continue;
+
+            const advancingIds = getAdvancingRegistrantIds(wcif, eventId, round, results);
+            const nextRound = round + 1;
+
+            const groupsOption = optionsObj[NextRoundGroupsOption.genId(eventId, round)];
+            const chosenNumGroups = Number(groupsOption?.value || 0);
+            const scheduleActIds = wcif.getGroupActIds(eventId, nextRound)
+                .filter(actId => wcif.getGroupNum(actId) !== null)
+                .sort((a, b) => wcif.getGroupNum(a) - wcif.getGroupNum(b));
+            const numGroups = chosenNumGroups > 0 ? chosenNumGroups : Math.max(scheduleActIds.length, 1);
+
+            // The schedule's groups are used first, then new groups are added if more are needed
+            const groupActIds = scheduleActIds.slice(0, numGroups);
+            if (groupActIds.length < numGroups)
+                groupActIds.push(...wcif.addGroupActs(eventId, nextRound, numGroups - groupActIds.length,
+                    null, groupActIds.length + 1));
+
+            const assignments = splitIntoGroups(advancingIds, groupActIds.length)
+                .flatMap((registrantIds, i) => registrantIds.map(registrantId => ({
+                    registrantId,
+                    actId: groupActIds[i],
+                })));
+
+            wcif.setRoundAssignments(eventId, nextRound, assignments);
+        }
+    }
+}
\ No newline at end of file
@@ -5,7 +5,10 @@
  */
 
 import { WCIF } from './wcif.js';
-import { Option, RoundBlanksOption, RoomOption } from './options.js'
+import { Option, RoundBlanksOption, RoomOption, EventNameOption, ToggleOption, ScorecardSortOption, FormatBlanksOption, MachineCodeOption } from './options.js'
+import { getScLayout } from './layout.js';
+import { getScorecardTemplate } from './templates.js';
+import { MachineCodeType } from './codes.js';
 
 /**
  * Enum for scorecard types
@@ -41,11 +44,12 @@ export class CumulRoundInfo {
     /**
      * @constructor
      * @param {WCIF} wcif - WCIF object
+     * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
      * @param {string} roundId - Round ID, e.g. '333-r1'
      */
-    constructor(wcif, roundId) {
+    constructor(wcif, optionsObj, roundId) {
         this.eventId = WCIF.getEventIdFromRoundId(roundId);
-        this.eventName = WCIF.eventIdToName[this.eventId];
+        this.eventName = getEventName(wcif, optionsObj, this.eventId);
         this.round = WCIF.getRoundFromRoundId(roundId);
         this.numRounds = wcif.getNumRounds(this.eventId)
     }
@@ -57,6 +61,11 @@ export class SCData {
      * @type {string}
      */
     compName;
+    /**
+     * Competition ID, e.g. 'WesternChampionship2026'
+     * @type {string}
+     */
+    compId;
 
     /*** Person data ***/
     /* Unless otherwise noted, null types indicate that the entry is not present on a blank scorecard */
@@ -85,6 +94,16 @@ export class SCData {
      * @type {string}
      */
     eventName;
+    /**
+     * Shortened event name, e.g. '3x3'
+     * @type {string}
+     */
+    eventShortName;
+    /**
+     * What results are measured in: 'time', 'number' (moves) or 'multi' (multiblind points)
+     * @type {string}
+     */
+    resultFormat;
     /** @type {number} */
     round;
     /**
@@ -118,8 +137,14 @@ export class SCData {
      */
     cumulRoundInfos; // centiseconds
 
+    /**
+     * Attempt number for events with a separate scorecard per attempt (FMC and multiblind); null otherwise
+     * @type {number | null}
+     */
+    attempt;
+
     /*** Group data ***/
-    /** @type {number} */
+    /** @type {number | null} */
     groupNum;
     /** @type {string} */
     groupRoom;
@@ -127,6 +152,45 @@ export class SCData {
      * Room abbreviation for the "Group" field of a scorecard. Could be empty
      * @type {string} */
     groupRoomAbbr;
+    /**
+     * Station number from the competitor's group assignment; null for blank scorecards and competitors without a station
+     * @type {number | null}
+     */
+    stationNumber;
+    /**
+     * Whether the scorecard has a "Station" field
+     * @type {bool}
+     */
+    showStation;
+    /**
+     * The competitor's staff duties for the event, or null if they aren't printed
+     * @type {StaffAssignment[] | null}
+     */
+    staffAssignments;
+
+    /**
+     * Whether a format blank scorecard has a cutoff line to fill in; false for other scorecards
+     * @type {bool}
+     */
+    blankCutoff;
+
+    /**
+     * Activity code of the competitor's group, or of the round (and attempt) for round-specific blank scorecards,
+     * e.g. '333-r1-g2'; null for format blank scorecards
+     * @type {string | null}
+     */
+    actCode;
+    /**
+     * Machine-readable code printed on the scorecard (a MachineCodeType value)
+     * @type {string}
+     */
+    codeType;
+
+    /**
+     * Scorecard template chosen in the options
+     * @type {ScorecardTemplate}
+     */
+    template;
 
     /**
      * What kind of scorecard the data is for
@@ -143,6 +207,7 @@ export class SCData {
      * @param {number} round - Round number
      * @param {number} actId - Activity ID
      * @param {number} registrantId - Registrant ID
+     * @param {number | null} attempt - Attempt number for events with a scorecard per attempt, null otherwise
      * @returns {SCData}
      */
     static competitorScData(
@@ -152,12 +217,16 @@ export class SCData {
         round,
         actId,
         registrantId,
+        attempt = null,
     ) {
         const scData = new SCData;
 
         scData.type = SCType.competitor;
 
         scData.compName = wcif.getCompName();
+        scData.compId = wcif.compId;
+        scData.template = getScorecardTemplate(optionsObj);
+        scData.codeType = optionsObj[MachineCodeOption.genId()]?.value ?? MachineCodeType.none;
 
         /* Person data */
         scData.registrantId = registrantId;
@@ -167,7 +236,9 @@ export class SCData {
 
         /* Event data */
         scData.eventId = eventId;
-        scData.eventName = WCIF.eventIdToName[eventId];
+        scData.eventName = getEventName(wcif, optionsObj, eventId);
+        scData.eventShortName = wcif.getEventShortName(eventId);
+        scData.resultFormat = wcif.getEventResultFormat(eventId);
         scData.round = round;
         scData.numRounds = wcif.getNumRounds(eventId);
         scData.format = wcif.getFormat(eventId, round);
@@ -177,13 +248,22 @@ export class SCData {
 
         scData.cumulRoundInfos =
             wcif.getCumulRoundIds(eventId, round)
-                .map(roundId => new CumulRoundInfo(wcif, roundId));
+                .map(roundId => new CumulRoundInfo(wcif, optionsObj, roundId));
+
+        scData.attempt = attempt;
 
         /* Group data */
         scData.groupNum = wcif.getGroupNum(actId);
         scData.groupRoom = wcif.getGroupRoom(actId);
         const optionId = RoomOption.genId(scData.groupRoom);
         scData.groupRoomAbbr = optionsObj[optionId].value;
+        scData.stationNumber = wcif.getStationNumber(actId, registrantId);
+        scData.actCode = wcif.getActCode(actId);
+        scData.showStation = ToggleOption.isOn(optionsObj, 'print-station');
+
+        scData.staffAssignments = ToggleOption.isOn(optionsObj, 'print-staff')
+            ? wcif.getStaffAssignments(registrantId, eventId)
+            : null;
 
         return scData;
     }
@@ -192,16 +272,21 @@ export class SCData {
      * Generate a blank scorecard corresponding to a given round
      *
      * @param {WCIF} wcif - WCIF object
+     * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
      * @param {string} eventId - Event ID, e.g. '333'
      * @param {number} round - Round number
+     * @param {number | null} attempt - Attempt number for events with a scorecard per attempt, null otherwise
      * @returns {SCData}
      */
-    static roundBlankScData(wcif, eventId, round) {
+    static roundBlankScData(wcif, optionsObj, eventId, round, attempt = null) {
         const scData = new SCData;
 
         scData.type = SCType.roundBlank;
 
         scData.compName = wcif.getCompName();
+        scData.compId = wcif.compId;
+        scData.template = getScorecardTemplate(optionsObj);
+        scData.codeType = optionsObj[MachineCodeOption.genId()]?.value ?? MachineCodeType.none;
 
         /* Person data */
         scData.registrantId = null;
@@ -211,7 +296,9 @@ export class SCData {
 
         /* Event data */
         scData.eventId = eventId;
-        scData.eventName = WCIF.eventIdToName[eventId];
+        scData.eventName = getEventName(wcif, optionsObj, eventId);
+        scData.eventShortName = wcif.getEventShortName(eventId);
+        scData.resultFormat = wcif.getEventResultFormat(eventId);
         scData.round = round;
         scData.numRounds = wcif.getNumRounds(eventId);
         scData.format = wcif.getFormat(eventId, round);
@@ -221,15 +308,112 @@ export class SCData {
 
         scData.cumulRoundInfos =
             wcif.getCumulRoundIds(eventId, round)
-                .map(roundId => new CumulRoundInfo(wcif, roundId));
+                .map(roundId => new CumulRoundInfo(wcif, optionsObj, roundId));
+
+        scData.attempt = attempt;
+
+        scData.groupNum = null;
+        scData.groupRoomAbbr = null;
+        scData.stationNumber = null;
+        scData.actCode = `${eventId}-r${round}${attempt === null ? '' : `-a${attempt}`}`;
+        scData.showStation = ToggleOption.isOn(optionsObj, 'print-station');
+        scData.staffAssignments = null;
+
+        return scData;
+    }
+
+    /**
+     * Generate a blank scorecard for a round format, with the event, round and time limit left blank
+     *
+     * @param {WCIF} wcif - WCIF object
+     * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+     * @param {string} format - Round format, e.g. 'a' or '3'
+     * @param {bool} blankCutoff - Whether to include a cutoff line to fill in (Average of 5 and Mean of 3 only)
+     * @returns {SCData}
+     */
+    static formatBlankScData(wcif, optionsObj, format, blankCutoff) {
+        const scData = new SCData;
+
+        scData.type = SCType.formatBlank;
+
+        scData.compName = wcif.getCompName();
+        scData.compId = wcif.compId;
+        scData.template = getScorecardTemplate(optionsObj);
+        scData.codeType = optionsObj[MachineCodeOption.genId()]?.value ?? MachineCodeType.none;
+
+        /* Person data */
+        scData.registrantId = null;
+        scData.newCompetitor = null;
+        scData.wcaId = null;
+        scData.personName = null;
+
+        /* Event data: only the format is known */
+        scData.eventId = null;
+        scData.eventName = null;
+        scData.eventShortName = null;
+        scData.resultFormat = 'time';
+        scData.round = null;
+        scData.numRounds = null;
+        scData.format = format;
+        scData.cutoffCentisec = null;
+        scData.cutoffAttempts = null;
+        scData.timeLimit = null;
+        scData.cumulRoundInfos = [];
+        scData.blankCutoff = blankCutoff;
+
+        scData.attempt = null;
 
         scData.groupNum = null;
         scData.groupRoomAbbr = null;
+        scData.stationNumber = null;
+        scData.actCode = null;
+        scData.showStation = ToggleOption.isOn(optionsObj, 'print-station');
+        scData.staffAssignments = null;
 
         return scData;
     }
 }
 
+/**
+ * Round formats that format blank scorecards can be printed for, with the name of each format
+ */
+export const blankFormatToName = Object.freeze({
+    'a': 'Average of 5',
+    'm': 'Mean of 3',
+    '3': 'Best of 3',
+    '2': 'Best of 2',
+    '1': 'Best of 1',
+});
+
+/**
+ * Get the name of an event to print on scorecards: the user's name for it if they entered one, or the name from the WCIF otherwise
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @returns {string}
+ */
+export function getEventName(wcif, optionsObj, eventId) {
+    const option = optionsObj[EventNameOption.genId(eventId)];
+    const name = option?.value?.trim() ?? '';
+
+    return name === '' ? wcif.getEventName(eventId) : name;
+}
+
+/**
+ * Get the number of scorecards printed on each page for an event
+ *
+ * FMC solution sheets take up a full page; all other scorecards follow the chosen layout
+ *
+ * @param {string | null} eventId - Event ID, e.g. '333'; null for scorecards that aren't for an event
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects.
+ *   The default layout is used if there's no layout option
+ * @returns {number}
+ */
+export function getScPerPage(eventId, optionsObj = {}) {
+    return getScLayout(eventId, optionsObj).scPerPage;
+}
+
 /**
  * Generate a list of SCData objects for a group from its activity ID
  *
@@ -238,9 +422,10 @@ export class SCData {
  * @param {string} eventId - Event ID, e.g. '333'
  * @param {number} round - Round number
  * @param {number} actId - Activity ID
+ * @param {number | null} attempt - Attempt number for events with a scorecard per attempt, null otherwise
  * @returns {SCData[]}
  */
-function getScDataForGroup(wcif, optionsObj, eventId, round, actId) {
+function getScDataForGroup(wcif, optionsObj, eventId, round, actId, attempt) {
     /* Note: strictly speaking, passing the event ID and round number is unnecessary;
      * however, this function is only called by other functions that already
      * have the event ID and round. Passing these values is an intentional
@@ -249,30 +434,50 @@ function getScDataForGroup(wcif, optionsObj, eventId, round, actId) {
      */
 
     return wcif.getCompetitorsFromActId(actId)
-        .map(registrantId => SCData.competitorScData(wcif, optionsObj, eventId, round, actId, registrantId));
+        .map(registrantId => SCData.competitorScData(wcif, optionsObj, eventId, round, actId, registrantId, attempt));
 }
 
 /**
- * Generate a list of SCData objects for a round
+ * Generate a list of SCData objects for one attempt of a round
  *
  * @param {WCIF} wcif - WCIF object
  * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
  * @param {string} eventId - Event ID, e.g. '333'
  * @param {number} round - Round number
+ * @param {number | null} attempt - Attempt number for events with a scorecard per attempt, null for the whole round
  * @returns {SCData[]}
  */
-export function getScDataForRound(wcif, optionsObj, eventId, round) {
+function getScDataForAttempt(wcif, optionsObj, eventId, round, attempt) {
     /* Non-blank (competitor-specific) scorecards */
-    const scDataArr =
-        wcif.getGroupActIds(eventId, round)
-        .flatMap(actId => getScDataForGroup(wcif, optionsObj, eventId, round, actId));
+    const scDataByGroup = wcif.getGroupActIds(eventId, round, attempt ?? 1)
+        .map(actId => getScDataForGroup(wcif, optionsObj, eventId, round, actId, attempt));
+
+    const scDataArr = sortScData(wcif, getSortOrder(optionsObj), scDataByGroup);
 
     /* Add blank scorecards */
-    scDataArr.push(...getScDataForRoundBlanks(wcif, optionsObj, eventId, round));
+    scDataArr.push(...getScDataForRoundBlanks(wcif, optionsObj, eventId, round, attempt));
 
     return scDataArr;
 }
 
+/**
+ * Generate a list of SCData objects for a round
+ *
+ * FMC and multiblind: one scorecard per competitor per attempt, ordered by attempt
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @returns {SCData[]}
+ */
+export function getScDataForRound(wcif, optionsObj, eventId, round) {
+    const attempts = WCIF.hasAttemptActs(eventId) ?
+        wcif.getAttemptNums(eventId, round) : [null];
+
+    return attempts.flatMap(attempt => getScDataForAttempt(wcif, optionsObj, eventId, round, attempt));
+}
+
 /**
  * Generate a list of SCData objects for an event
  *
@@ -295,9 +500,34 @@ export function getScDataForEvent(wcif, optionsObj, eventId) {
 
 /* Blank scorecards */
 
+/**
+ * Generate a list of SCData objects representing blank scorecards for a round format, e.g. for side events
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} format - Round format, e.g. 'a' or '3'
+ * @returns {SCData[]}
+ */
+export function getScDataForFormatBlanks(wcif, optionsObj, format) {
+    const numPages = Number(optionsObj[FormatBlanksOption.genId(format)]?.value || 0);
+    const blankCutoff = ToggleOption.isOn(optionsObj, FormatBlanksOption.getCutoffToggleName(format));
 
-function getScDataForFormatBlanks(format) {
+    return Array(numPages * getScPerPage(null, optionsObj))
+        .fill(
+            SCData.formatBlankScData(wcif, optionsObj, format, blankCutoff)
+        );
+}
 
+/**
+ * Generate a list of SCData objects representing blank scorecards for every round format, in the order of blankFormatToName
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {SCData[]}
+ */
+export function getScDataForAllFormatBlanks(wcif, optionsObj) {
+    return Object.keys(blankFormatToName)
+        .flatMap(format => getScDataForFormatBlanks(wcif, optionsObj, format));
 }
 
 /**
@@ -305,14 +535,17 @@ function getScDataForFormatBlanks(format) {
  *
  * @param {WCIF} wcif - WCIF object
  * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * FMC and multiblind: the number of blank pages is per attempt
+ *
  * @param {string} eventId - Event ID, e.g. '333'
  * @param {number} round - Round number
+ * @param {number | null} attempt - Attempt number for events with a scorecard per attempt, null otherwise
  * @returns {SCData[]}
  */
-export function getScDataForRoundBlanks(wcif, optionsObj, eventId, round) {
+export function getScDataForRoundBlanks(wcif, optionsObj, eventId, round, attempt = null) {
     const id = RoundBlanksOption.genId(eventId, round);
     const option = optionsObj[id];
-    const scPerPage = 4;
+    const scPerPage = getScPerPage(eventId, optionsObj);
 
     // Blanks to fill in the remaining entries of a page, if applicable
     let numFillerBlanks;
@@ -326,14 +559,146 @@ export function getScDataForRoundBlanks(wcif, optionsObj, eventId, round) {
         numFillerBlanks = 0;
     }
 
-    // TODO: warn when the user doesn't provide enough blanks for a round? e.g. 1 page of blanks for a 12-round final
+    // See getRoundBlanksWarning for rounds that look like they don't have enough blanks
     const numBlanks = numFillerBlanks
         + (option.value * scPerPage);
 
     return Array(Number(numBlanks))
         .fill(
-            SCData.roundBlankScData(wcif, eventId, round)
+            SCData.roundBlankScData(wcif, optionsObj, eventId, round, attempt)
         );
 }
 
-// TODO: sorting functions
\ No newline at end of file
+/* Pages of blank scorecards every round should have for extra attempts, late additions and replacement scorecards */
+const extraBlankPages = 1;
+
+/**
+ * Check whether a round's blank scorecards look like too few. Rounds without groups need a blank scorecard for
+ * each competitor in the round size estimate, and every round needs a page of extras
+ *
+ * FMC and multiblind: the number of blank pages is per attempt
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @param {number} round - Round number
+ * @param {number} numPages - Number of pages of blank scorecards for the round
+ * @param {number} scPerPage - Number of scorecards on each page
+ * @returns {string | null} Explanation of why the blanks look too few, or null if they look like enough
+ */
+export function getRoundBlanksWarning(wcif, eventId, round, numPages, scPerPage) {
+    if (wcif.groupsAreAssigned(eventId, round)) {
+        if (numPages >= extraBlankPages)
+            return null;
+
+        return 'No blank scorecards for extra attempts or replacement scorecards';
+    }
+
+    const estimate = wcif.getRoundSizeEstimate(eventId, round);
+    const recommendedPages = Math.ceil(estimate.numCompetitors / scPerPage) + extraBlankPages;
+
+    if (numPages >= recommendedPages)
+        return null;
+
+    return `Groups aren't assigned, so about ${estimate.numCompetitors} competitors need blank scorecards. ` +
+        `At least ${recommendedPages} pages are recommended, including ${extraBlankPages} page of extras`;
+}
+
+/**
+ * Check every round for blank scorecards that look like too few
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {string[]} A warning for each round that looks short, e.g. '3x3 Round 2: ...'
+ */
+export function getBlanksWarnings(wcif, optionsObj) {
+    const warnings = [];
+
+    for (const eventId of wcif.getEventIds()) {
+        for (let round = 1; round <= wcif.getNumRounds(eventId); round++) {
+            const numPages = Number(optionsObj[RoundBlanksOption.genId(eventId, round)]?.value || 0);
+            const warning = getRoundBlanksWarning(wcif, eventId, round, numPages, getScPerPage(eventId, optionsObj));
+
+            if (warning !== null)
+                warnings.push(`${wcif.getEventShortName(eventId)} Round ${round}: ${warning}`);
+        }
+    }
+
+    return warnings;
+}
+
+/* Sorting */
+
+/**
+ * Enum for the order of competitor scorecards in a round. The values are the values of the sort order option
+ */
+export const SortOrder = Object.freeze({
+    /* Group by group, by name within each group */
+    groupName    : 'group-name',
+    /* Group by group, by registrant ID within each group */
+    groupId      : 'group-id',
+    /* Group by group, by station number within each group */
+    groupStation : 'group-station',
+    /* By name, ignoring groups */
+    name         : 'name',
+    /* By personal best (fastest first), ignoring groups */
+    seed         : 'seed',
+});
+
+/**
+ * Get the chosen order of competitor scorecards
+ *
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {string} A SortOrder value; SortOrder.groupName if the option doesn't exist
+ */
+export function getSortOrder(optionsObj) {
+    return optionsObj[ScorecardSortOption.genId()]?.value ?? SortOrder.groupName;
+}
+
+/**
+ * Get the function that compares two competitor scorecards for a sort order
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} sortOrder - SortOrder value
+ * @returns {function(SCData, SCData): number}
+ */
+function getScDataComparator(wcif, sortOrder) {
+    const byName = (a, b) => a.personName.localeCompare(b.personName);
+
+    switch (sortOrder) {
+        case SortOrder.groupId:
+            return (a, b) => a.registrantId - b.registrantId;
+
+        case SortOrder.groupStation:
+            // Competitors without a station go last
+            return (a, b) => (a.stationNumber ?? Number.MAX_SAFE_INTEGER) - (b.stationNumber ?? Number.MAX_SAFE_INTEGER)
+                || byName(a, b);
+
+        case SortOrder.seed: {
+            // Ranked by the same result as the round; competitors without a personal best go last
+            const getSeedResult = x => wcif.getPersonalBest(
+                x.registrantId, x.eventId, wcif.getRankingResultType(x.eventId, x.round)) ?? Number.MAX_SAFE_INTEGER;
+
+            return (a, b) => getSeedResult(a) - getSeedResult(b) || byName(a, b);
+        }
+
+        default:
+            return byName;
+    }
+}
+
+/**
+ * Sort the competitor scorecards of a round (or of one attempt, for events with a scorecard per attempt)
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {string} sortOrder - SortOrder value
+ * @param {SCData[][]} scDataByGroup - Scorecards for each group, in the order of the groups
+ * @returns {SCData[]} Scorecards of every group in one list
+ */
+export function sortScData(wcif, sortOrder, scDataByGroup) {
+    const compare = getScDataComparator(wcif, sortOrder);
+
+    if (sortOrder === SortOrder.name || sortOrder === SortOrder.seed)
+        return scDataByGroup.flat().sort(compare);
+
+    return scDataByGroup.flatMap(x => [...x].sort(compare));
+}
\ No newline at end of file
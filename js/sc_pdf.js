@@ -6,7 +6,9 @@
 
 import { WCIF } from './wcif.js';
 import { Option } from './options.js'
-import { getScDataForEvent, SCData, CumulRoundInfo, SCType } from './sc_data.js';
+import { getScDataForEvent, getScDataForRound, getScDataForAllFormatBlanks, getEventName, SCData, CumulRoundInfo, SCType, blankFormatToName } from './sc_data.js';
+import { getScLayout, getPaperSize, ScLayout, scWidth, fullPageWidth } from './layout.js';
+import { MachineCodeType, getCodeText, drawQrCode, drawCode128 } from './codes.js';
 import { jsPDF } from 'jspdf';
 import { applyPlugin } from 'jspdf-autotable';
 
@@ -48,11 +50,26 @@ export class SCPDFData {
     personNameTrans;
 
     /*** Event data ***/
+    /**
+     * Event ID, e.g. '333'
+     * @type {string}
+     */
+    eventId;
     /**
      * Event and round, e.g. '3x3x3 Cube Round 1' or 'Square-1 Final'
      * @type: {string}
      */
     eventAndRoundText;
+    /**
+     * Attempt number for events with a separate scorecard per attempt (FMC and multiblind), or null
+     * @type {string | null}
+     */
+    attempt;
+    /**
+     * Total number of attempts in the round, e.g. 5 for an Average of 5 round
+     * @type {number}
+     */
+    numAttempts;
     /**
      * Number of attempts to list before the cutoff text
      * @type {number}
@@ -100,6 +117,53 @@ export class SCPDFData {
      * @type {string}
      */
     group;
+    /**
+     * Station number, e.g. '12'; null for blank scorecards and competitors without a station
+     * @type {string | null}
+     */
+    station;
+    /**
+     * Whether the header has a "Station" column
+     * @type {bool}
+     */
+    showStation;
+
+    /*** Staff data ***/
+    /**
+     * The competitor's staff duties for the event, e.g. 'Judging: 3x3 R1 G4 (Room B)'; null if none are printed
+     * @type {string | null}
+     */
+    staffText;
+
+    /**
+     * Scorecard template that lays out the scorecard (FMC and multiblind scorecards have their own layouts)
+     * @type {import('./templates.js').ScorecardTemplate}
+     */
+    template;
+
+    /*** Machine-readable code ***/
+    /**
+     * Machine-readable code printed on the scorecard (a MachineCodeType value)
+     * @type {string}
+     */
+    codeType;
+    /**
+     * Text encoded in the machine-readable code, or null if the scorecard doesn't have one
+     * @type {string | null}
+     */
+    codeText;
+
+    /**
+     * Map-like object that converts staff assignment codes (like 'staff-judge') to duties (like 'Judging')
+     * @type {Object.<string, string>}
+     */
+    #staffCodeToDuty = {
+        'staff-judge': 'Judging',
+        'staff-scrambler': 'Scrambling',
+        'staff-runner': 'Running',
+        'staff-dataentry': 'Data entry',
+        'staff-announcer': 'Announcing',
+    };
 
     /**
      * Map-like object that converts formats (like 'a') to the number of attempts (like 5)
@@ -124,8 +188,8 @@ export class SCPDFData {
      * If there's no cutoff for an event, we can't get the usual number of cutoff attempts from the WCIF, so that data
      * needs to be stored here.
      *
-     * Notably, this doesn't work for multiblind since multiblind cutoff can be Best of 1 OR 2. But this software doesn't support
-     * cutoffs for multiblind, so that's okay.
+     * Notably, this doesn't work for multiblind since multiblind cutoff can be Best of 1 OR 2. That's okay, because multiblind
+     * rounds without a cutoff don't print any cutoff text, and rounds with a cutoff get the number of attempts from the WCIF.
      */
     #formatToCutoffAttempts = {
         'a': 2,
@@ -249,20 +313,43 @@ export class SCPDFData {
     }
 
     /**
-     * Convert the cutoff in centiseconds to a human-readable description of the cutoff. Must only be called if the round has a cutoff
+     * Get the text for the attempts that count toward a cutoff
      *
      * @param {number} attempts - Number of attempts for the cutoff
-     * @param {number} totalCentisec - Cutoff duration in centiseconds
-     * @returns {string} Human-readable cutoff, e.g. 'Continue if 1 or 2 < 1 minute 10 seconds'
+     * @returns {string} '1' or '1 or 2'
      */
-    #getCutoffText(attempts, totalCentisec) {
-        let attemptsText = '';
+    #getCutoffAttemptsText(attempts) {
         if (attempts === 1)
-            attemptsText = '1';
+            return '1';
         else if (attempts === 2)
-            attemptsText = '1 or 2';
+            return '1 or 2';
         else
             throw new Error(`attempts must be 1 or 2 (got ${attempts})`);
+    }
+
+    /**
+     * Convert the cutoff in centiseconds to a human-readable description of the cutoff. Must only be called if the round has a cutoff
+     *
+     * FMC: the cutoff is a number of moves instead of a duration
+     *
+     * MULTIBLIND: the cutoff is an encoded multiblind result, which is printed as a number of points
+     *
+     * @param {string} resultFormat - What results are measured in: 'time', 'number' (moves) or 'multi' (multiblind points)
+     * @param {number} attempts - Number of attempts for the cutoff
+     * @param {number} totalCentisec - Cutoff duration in centiseconds (number of moves for FMC, encoded result for multiblind)
+     * @returns {string} Human-readable cutoff, e.g. 'Continue if 1 or 2 < 1 minute 10 seconds', 'Continue if 1 < 40 moves' or 'Continue if 1 > 2 points'
+     */
+    #getCutoffText(resultFormat, attempts, totalCentisec) {
+        const attemptsText = this.#getCutoffAttemptsText(attempts);
+
+        if (resultFormat === 'number')
+            return `Continue if ${attemptsText} < ${totalCentisec} moves`;
+
+        /* Multiblind results are better when they have more points */
+        if (resultFormat === 'multi') {
+            const points = WCIF.multiblindAttemptResultToPoints(totalCentisec);
+            return `Continue if ${attemptsText} > ${points} points`;
+        }
 
         const timeText = this.#getTimeText(totalCentisec);
 
@@ -276,12 +363,13 @@ export class SCPDFData {
      */
     #setCutoffData(scData) {
         const totalAttempts = this.#formatToAttempts[scData.format];
+        this.numAttempts = totalAttempts;
 
         if (scData.cutoffCentisec !== null) {
             /* This round has a cutoff, so the cutoff needs to be printed on the scorecard. */
             this.attemptsPreCutoff = scData.cutoffAttempts;
             this.attemptsPostCutoff = totalAttempts - this.attemptsPreCutoff;
-            this.cutoffText = this.#getCutoffText(scData.cutoffAttempts, scData.cutoffCentisec);
+            this.cutoffText = this.#getCutoffText(scData.resultFormat, scData.cutoffAttempts, scData.cutoffCentisec);
         } else if (this.#formatToCutoffAttempts[scData.format] !== null) {
             /* This round has no cutoff, but cutoffs are allowed for the event. 'Cutoff: N/A' text is needed on the scorecard where the cutoff would be. */
             this.attemptsPreCutoff = this.#formatToCutoffAttempts[scData.format];
@@ -289,7 +377,6 @@ export class SCPDFData {
             this.cutoffText = 'N/A';
         } else {
             /* This round has no cutoff, and the event doesn't allow cutoffs. Don't include any cutoff text on the scorecard. */
-            /* (The event could also be multiblind, but this software doesn't support cutoffs for multiblind.) */
             this.attemptsPreCutoff = totalAttempts;
             this.attemptsPostCutoff = null;
             this.cutoffText = null;
@@ -330,15 +417,29 @@ export class SCPDFData {
      * @param {SCData} scData - SCData object
      */
     #setTimeLimitData(scData) {
-        /*** Multi-blind: time limit text is always the same ***/
+        /*** Multi-blind: time limit text is always the same; the limit for the attempt is computed on the scorecard ***/
         if (scData.eventId === '333mbf') {
-            this.timeLimitStartText = 'Time limit per solve';
-            this.timeLimitEndText = '10 minutes per cube, up to 1 hour';
+            this.timeLimitStartText = 'Time limit';
+            this.timeLimitEndText = '10 minutes per cube attempted, up to 1 hour';
+            return;
+        }
+
+        /*** FMC: time limit text is always the same ***/
+        if (scData.eventId === '333fm') {
+            this.timeLimitStartText = 'Time limit';
+            this.timeLimitEndText = '1 hour';
             return;
         }
 
         /*** All other events ***/
 
+        /* Missing from the WCIF (reported by the validation): leave a line to fill in */
+        if (scData.timeLimit === null) {
+            this.timeLimitStartText = 'Time limit';
+            this.timeLimitEndText = '_'.repeat(30);
+            return;
+        }
+
         /* Start text */
         if (scData.cumulRoundInfos.length === 0) {
             this.timeLimitStartText = 'Time limit per solve';
@@ -359,6 +460,8 @@ export class SCPDFData {
      * @param {SCData} scData - SCData object
      */
     #setEventData(scData) {
+        this.eventId = scData.eventId;
+        this.attempt = scData.attempt === null ? null : String(scData.attempt);
         this.#setEventAndRoundText(scData);
         this.#setCutoffData(scData);
         this.#setTimeLimitData(scData);
@@ -370,7 +473,69 @@ export class SCPDFData {
      * @param {SCData} scData - SCData object
      */
     #setGroupData(scData) {
-        this.group = `${scData.groupRoomAbbr}${scData.groupNum}`;
+        // Competitors assigned to a whole round rather than a group only get the room
+        this.group = `${scData.groupRoomAbbr}${scData.groupNum ?? ''}`;
+    }
+
+    /**
+     * Read the SCData object and set station-related SCPDFData members
+     *
+     * @param {SCData} scData - SCData object
+     */
+    #setStationData(scData) {
+        this.showStation = scData.showStation;
+        this.station = scData.stationNumber === null ? null : String(scData.stationNumber);
+    }
+
+    /**
+     * Read the SCData object and set the machine-readable code SCPDFData members
+     *
+     * @param {SCData} scData - SCData object
+     */
+    #setCodeData(scData) {
+        // Format blank scorecards aren't for any activity, so there's nothing to encode
+        if (scData.codeType === MachineCodeType.none || scData.actCode === null) {
+            this.codeType = MachineCodeType.none;
+            this.codeText = null;
+            return;
+        }
+
+        this.codeType = scData.codeType;
+        this.codeText = getCodeText(scData.compId, scData.actCode, scData.registrantId, scData.wcaId);
+    }
+
+    /**
+     * Read the SCData object and set the staff duties SCPDFData member
+     *
+     * @param {SCData} scData - SCData object
+     */
+    #setStaffData(scData) {
+        if (scData.staffAssignments === null || scData.staffAssignments.length === 0) {
+            this.staffText = null;
+            return;
+        }
+
+        // Duties are listed in order of the first group for each one
+        const dutyToGroupTexts = new Map();
+
+        for (const staffAssignment of scData.staffAssignments) {
+            const duty = this.#staffCodeToDuty[staffAssignment.assignmentCode]
+                ?? staffAssignment.assignmentCode.replace('staff-', '');
+
+            let groupText = `${scData.eventShortName} R${staffAssignment.round}`;
+            if (staffAssignment.group !== null)
+                groupText += ` G${staffAssignment.group}`;
+            groupText += ` (${staffAssignment.room})`;
+
+            if (!dutyToGroupTexts.has(duty))
+                dutyToGroupTexts.set(duty, []);
+
+            dutyToGroupTexts.get(duty).push(groupText);
+        }
+
+        this.staffText = [...dutyToGroupTexts]
+            .map(([duty, groupTexts]) => `${duty}: ${groupTexts.join(', ')}`)
+            .join('; ');
     }
 
     /**
@@ -385,6 +550,8 @@ export class SCPDFData {
 
         scPdfData.type = scData.type;
         scPdfData.compName = scData.compName;
+        scPdfData.template = scData.template;
+        scPdfData.#setCodeData(scData);
 
         switch (scData.type) {
             case SCType.competitor:
@@ -393,6 +560,9 @@ export class SCPDFData {
             case SCType.roundBlank:
                 scPdfData.#setRoundBlankScData(scData);
                 break;
+            case SCType.formatBlank:
+                scPdfData.#setFormatBlankScData(scData);
+                break;
         }
 
         return scPdfData;
@@ -407,6 +577,8 @@ export class SCPDFData {
         this.#setPersonData(scData);
         this.#setEventData(scData);
         this.#setGroupData(scData);
+        this.#setStationData(scData);
+        this.#setStaffData(scData);
     }
 
     /**
@@ -417,6 +589,39 @@ export class SCPDFData {
      */
     #setRoundBlankScData(scData) {
         this.#setEventData(scData);
+        this.#setStationData(scData);
+        this.staffText = null;
+    }
+
+    /**
+     * Fill in SCPDFData object members for a format blank scorecard, which leaves the event, round, time limit, and cutoff to be written in
+     *
+     * @param {SCData} scData - SCData object
+     */
+    #setFormatBlankScData(scData) {
+        const totalAttempts = this.#formatToAttempts[scData.format];
+        const cutoffAttempts = this.#formatToCutoffAttempts[scData.format];
+
+        this.eventId = null;
+        this.attempt = null;
+        this.eventAndRoundText = '';
+        this.numAttempts = totalAttempts;
+
+        if (scData.blankCutoff && cutoffAttempts !== null) {
+            this.attemptsPreCutoff = cutoffAttempts;
+            this.attemptsPostCutoff = totalAttempts - cutoffAttempts;
+            this.cutoffText = `Continue if ${this.#getCutoffAttemptsText(cutoffAttempts)} < ${'_'.repeat(20)}`;
+        } else {
+            this.attemptsPreCutoff = totalAttempts;
+            this.attemptsPostCutoff = null;
+            this.cutoffText = null;
+        }
+
+        this.timeLimitStartText = 'Time limit';
+        this.timeLimitEndText = '_'.repeat(30);
+
+        this.#setStationData(scData);
+        this.staffText = null;
     }
 }
 
@@ -434,11 +639,12 @@ export function getScPdfDataForEvent(wcif, optionsObj, eventId) {
 }
 
 /**
- * Draw horizontal and vertical cut lines through the page
+ * Draw horizontal and vertical cut lines between the scorecards of a page
  *
  * @param {jsPDF} doc - jsPDF object
+ * @param {ScLayout} layout - Layout of the page
  */
-function drawCutLines(doc) {
+function drawCutLines(doc, layout) {
     const width = doc.internal.pageSize.getWidth();
     const height = doc.internal.pageSize.getHeight();
     const xCenter = width / 2;
@@ -447,13 +653,23 @@ function drawCutLines(doc) {
     doc.setLineDashPattern([5, 6]);
     doc.setLineWidth(1.5);
 
-    // Vertical line
-    doc.line(xCenter, yCenter, xCenter, 0);
-    doc.line(xCenter, yCenter, xCenter, height);
+    // Each line is drawn outward from the middle of the page, so the dashes line up where the lines cross
+
+    // Vertical lines
+    for (let column = 1; column < layout.columns; column++) {
+        const x = width * column / layout.columns;
 
-    // Horizontal line
-    doc.line(xCenter, yCenter, 0, yCenter);
-    doc.line(xCenter, yCenter, width, yCenter);
+        doc.line(x, yCenter, x, 0);
+        doc.line(x, yCenter, x, height);
+    }
+
+    // Horizontal lines
+    for (let row = 1; row < layout.rows; row++) {
+        const y = height * row / layout.rows;
+
+        doc.line(xCenter, y, 0, y);
+        doc.line(xCenter, y, width, y);
+    }
 
     /* Reset the line dash pattern and line width */
     doc.setLineDashPattern();
@@ -468,7 +684,7 @@ function drawCutLines(doc) {
  * @returns {number}
  */
 function pdfGetScXCenter(doc) {
-    return doc.internal.pageSize.getWidth() / 4;
+    return scWidth / 2;
 }
 
 /**
@@ -488,14 +704,21 @@ function pdfSkip(amount) {
  * @param {SCPDFData} scPdfData - SCPDFData object
  * @param {number} x - Horizontal position
  * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
  * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
  */
-function pdfWriteCompetitionName(doc, scPdfData, x, y) {
-    const fontSize = 10.5;
+function pdfWriteCompetitionName(doc, scPdfData, x, y, font = {}) {
+    const defaultSize = font.fontSize ?? 10.5;
+
+    // Leave room for a QR code in the top-right corner on both sides, so the name stays centered
+    const qrSpace = scPdfData.codeType === MachineCodeType.qr ? scCodeArea.qrSize + qrGap : 0;
+    const maxWidth = scWidth - ((textMargin + qrSpace) * 2);
 
     // TODO: get font size/font and reset it
-    doc.setFontSize(fontSize);
-    doc.setFont('OpenSans', 'bold');
+    doc.setFont('OpenSans', font.fontStyle ?? 'bold');
+
+    // Long names are shrunk to fit, without moving the rest of the scorecard
+    getFittingFontSize(doc, scPdfData.compName, maxWidth, defaultSize);
 
     const textOptions = {
         align: 'center',
@@ -504,11 +727,11 @@ function pdfWriteCompetitionName(doc, scPdfData, x, y) {
     doc.text(
         scPdfData.compName,
         x + pdfGetScXCenter(doc),
-        y + fontSize,
+        y + defaultSize,
         textOptions,
     );
 
-    return fontSize;
+    return defaultSize;
 }
 
 /** Add a table that includes the competitor ID, event, round, and group
@@ -539,17 +762,29 @@ function pdfAddHeaderTable(doc, scPdfData, x, y) {
         43,
     ];
 
+    // The station column takes its space from the event column, so the table keeps the same width
+    if (scPdfData.showStation) {
+        head[0].push('Station');
+        body[0].push(scPdfData.station ?? '');
+        colWidths[1] -= 47;
+        colWidths.push(47);
+    }
+
     const columnStyles = {};
     for (let i = 0; i < colWidths.length; i++) {
         columnStyles[i] = { cellWidth: colWidths[i] };
     }
 
+    // Keep long event names on one line (cells have 4pt of padding on each side)
+    doc.setFont('OpenSans', 'normal');
+    columnStyles[1].fontSize = getFittingFontSize(doc, body[0][1], colWidths[1] - 8, 10.5);
+
     // Total sum of colWidths
     const tableWidth = colWidths.reduce(
         (sum, x) => sum + x
     );
 
-    const leftMargin = (doc.internal.pageSize.getWidth() / 2 - tableWidth) / 2;
+    const leftMargin = (scWidth - tableWidth) / 2;
 
     doc.autoTable({
         startY: y,
@@ -591,36 +826,115 @@ function pdfAddHeaderTable(doc, scPdfData, x, y) {
 }
 
 /**
- * Write the Roman-readable part of a competitor's name
+ * Write the competitor's staff duties for the event in small, centered text. Text that doesn't fit in maxLines lines is cut off
  *
  * @param {jsPDF} doc - jsPDF object
  * @param {SCPDFData} scPdfData - SCPDFData object
- * @param {number} x - Horizontal position
+ * @param {number} xCenter - Horizontal position of the center of the text
  * @param {number} y - Vertical position
- * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
+ * @param {number} maxWidth - Maximum width of each line
+ * @param {number} fontSize - Font size
+ * @param {number} maxLines - Maximum number of lines
+ * @returns {number} - amount to update the vertical write position by
  */
-function pdfWritePersonName(doc, scPdfData, x, y) {
-    const name = scPdfData.personNameRoman;
-    const maxWidth = (doc.internal.pageSize.width / 2) - (textMargin * 2);
-    const defaultSize = 26;
-    let finalSize = defaultSize;
+function pdfWriteStaffText(doc, scPdfData, xCenter, y, maxWidth, fontSize, maxLines) {
+    if (scPdfData.staffText === null)
+        return 0;
 
-    // TODO: get font size/font and reset it
+    const lineHeightFactor = 1.15;
+
+    doc.setFontSize(fontSize);
     doc.setFont('OpenSans', 'normal');
 
-    // If needed, reduce the font size until the name fits on one line
+    let lines = doc.splitTextToSize(scPdfData.staffText, maxWidth);
+
+    if (lines.length > maxLines) {
+        lines = lines.slice(0, maxLines);
+
+        const ellipsis = '...';
+        let lastLine = lines[maxLines - 1];
+        while (lastLine.length > 0 && doc.getTextWidth(lastLine + ellipsis) > maxWidth)
+            lastLine = lastLine.slice(0, -1);
+
+        lines[maxLines - 1] = lastLine.trimEnd() + ellipsis;
+    }
+
+    doc.text(
+        lines,
+        xCenter,
+        y + fontSize,
+        { align: 'center', lineHeightFactor },
+    );
+
+    return fontSize * lineHeightFactor * lines.length;
+}
+
+/**
+ * Write the competitor's staff duties for the event at the bottom of a scorecard
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
+ * @returns {number} - amount to update the vertical write position by
+ */
+function pdfWriteStaffDuties(doc, scPdfData, x, y, font = {}) {
+    const maxWidth = 266;
+
+    return pdfWriteStaffText(doc, scPdfData, x + pdfGetScXCenter(doc), y, maxWidth, font.fontSize ?? 7, 2);
+}
+
+/**
+ * Get the largest font size (no larger than defaultSize) at which the text fits on one line
+ *
+ * Font MUST be set by caller
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {string} text - Text to fit
+ * @param {number} maxWidth - Maximum width of the text
+ * @param {number} defaultSize - Font size to use if the text already fits
+ * @returns {number}
+ */
+function getFittingFontSize(doc, text, maxWidth, defaultSize) {
+    let finalSize = defaultSize;
+
+    // If needed, reduce the font size until the text fits on one line
     while (finalSize > 0) {
         doc.setFontSize(finalSize);
-        if (doc.getTextWidth(name) <= maxWidth)
+        if (doc.getTextWidth(text) <= maxWidth)
             break;
 
         finalSize -= 0.5;
     }
 
     if (finalSize === 0) {
-        throw Error(`Reached font size of 0. Name string is too long: ${name}`);
+        throw Error(`Reached font size of 0. String is too long: ${text}`);
     }
 
+    return finalSize;
+}
+
+/**
+ * Write the Roman-readable part of a competitor's name
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
+ * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
+ */
+function pdfWritePersonName(doc, scPdfData, x, y, font = {}) {
+    const name = scPdfData.personNameRoman;
+    const maxWidth = scWidth - (textMargin * 2);
+    const defaultSize = font.fontSize ?? 26;
+
+    // TODO: get font size/font and reset it
+    doc.setFont('OpenSans', font.fontStyle ?? 'normal');
+
+    const finalSize = getFittingFontSize(doc, name, maxWidth, defaultSize);
+
     // Now write the name of the competitor
     const textOptions = {
         align: 'center',
@@ -643,14 +957,15 @@ function pdfWritePersonName(doc, scPdfData, x, y) {
  * @param {SCPDFData} scPdfData - SCPDFData object
  * @param {number} x - Horizontal position
  * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
  * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
  */
-function pdfWriteWcaId(doc, scPdfData, x, y) {
-    const fontSize = 16;
+function pdfWriteWcaId(doc, scPdfData, x, y, font = {}) {
+    const fontSize = font.fontSize ?? 16;
 
     // TODO: get font size/font and reset it
     doc.setFontSize(fontSize);
-    doc.setFont('OpenSans', 'normal');
+    doc.setFont('OpenSans', font.fontStyle ?? 'normal');
 
     const textOptions = {
         align: 'center',
@@ -677,7 +992,7 @@ function pdfWriteWcaId(doc, scPdfData, x, y) {
  */
 function getNewlineIndex(doc, boldText, regularText) {
     // TODO: cache values based on argument
-    const maxWidth = (doc.internal.pageSize.width / 2) - (textMargin * 2);
+    const maxWidth = scWidth - (textMargin * 2);
 
     let index = regularText.length;
     let totalWidth;
@@ -746,7 +1061,7 @@ function pdfTextBoldAndRegular(doc, x, y, fontSize, boldText, regularText, allow
     }
 
     let xLine1 = x +
-        ((doc.internal.pageSize.getWidth() / 2 - totalWidth) / 2);
+        ((scWidth - totalWidth) / 2);
 
     for (const segment of textSegments) {
         doc.setFont('OpenSans', segment.style);
@@ -768,7 +1083,7 @@ function pdfTextBoldAndRegular(doc, x, y, fontSize, boldText, regularText, allow
         doc.text(
             // Add 1 to skip the space
             regularText.slice(line2Slice + 1),
-            x + (doc.internal.pageSize.getWidth() / 4),
+            x + pdfGetScXCenter(doc),
             y + whitespace + (fontSize * 2),
             textOptions,
         );
@@ -787,10 +1102,11 @@ function pdfTextBoldAndRegular(doc, x, y, fontSize, boldText, regularText, allow
  * @param {SCPDFData} scPdfData - SCPDFData object
  * @param {number} x - Horizontal position
  * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
  * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
  */
-function pdfWriteTimeLimit(doc, scPdfData, x, y) {
-    const fontSize = 10;
+function pdfWriteTimeLimit(doc, scPdfData, x, y, font = {}) {
+    const fontSize = font.fontSize ?? 10;
 
     return pdfTextBoldAndRegular(
         doc,
@@ -810,10 +1126,11 @@ function pdfWriteTimeLimit(doc, scPdfData, x, y) {
  * @param {SCPDFData} scPdfData - SCPDFData object
  * @param {number} x - Horizontal position
  * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
  * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
  */
-function pdfWritePenaltyExample(doc, scPdfData, x, y) {
-    const fontSize = 10.5;
+function pdfWritePenaltyExample(doc, scPdfData, x, y, font = {}) {
+    const fontSize = font.fontSize ?? 10.5;
 
     return pdfTextBoldAndRegular(
         doc,
@@ -861,7 +1178,7 @@ function pdfAddAttempts(doc, x, y, startAttempt, endAttempt, extras = false) {
         (sum, x) => sum + x
     );
 
-    const leftMargin = (doc.internal.pageSize.getWidth() / 2 - tableWidth) / 2;
+    const leftMargin = (scWidth - tableWidth) / 2;
 
     doc.autoTable({
         startY: y,
@@ -919,7 +1236,7 @@ function pdfAddPreCutoffAttempts(doc, scPdfData, x, y) {
         (sum, x) => sum + x
     );
 
-    const leftMargin = (doc.internal.pageSize.getWidth() / 2 - tableWidth) / 2;
+    const leftMargin = (scWidth - tableWidth) / 2;
 
     doc.autoTable({
         startY: y,
@@ -969,16 +1286,17 @@ function pdfAddPreCutoffAttempts(doc, scPdfData, x, y) {
  * @param {SCPDFData} scPdfData - SCPDFData object
  * @param {number} x - Horizontal position
  * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
  * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
  */
-function pdfWriteCutoff(doc, scPdfData, x, y) {
+function pdfWriteCutoff(doc, scPdfData, x, y, font = {}) {
     // Don't write anything for events that don't support cutoffs
     if (scPdfData.cutoffText === null)
         return 0;
 
     // Whitespace above and below the cutoff text
     const yPadding = 4;
-    const fontSize = 10;
+    const fontSize = font.fontSize ?? 10;
 
     let textHeight = pdfTextBoldAndRegular(
         doc,
@@ -1022,14 +1340,15 @@ function pdfAddPostCutoffAttempts(doc, scPdfData, x, y) {
  * @param {SCPDFData} scPdfData - SCPDFData object
  * @param {number} x - Horizontal position
  * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
  * @returns {number} - amount to update the vertical write position by (TODO: poorly worded)
  */
-function pdfWriteExtrasHeader(doc, scPdfData, x, y) {
-    const fontSize = 10;
+function pdfWriteExtrasHeader(doc, scPdfData, x, y, font = {}) {
+    const fontSize = font.fontSize ?? 10;
 
     // TODO: get font size/font and reset it
     doc.setFontSize(fontSize);
-    doc.setFont('OpenSans', 'bold');
+    doc.setFont('OpenSans', font.fontStyle ?? 'bold');
 
     const textOptions = {
         align: 'center',
@@ -1086,7 +1405,7 @@ function pdfAddExtraAttempts(doc, scPdfData, x, y) {
         (sum, x) => sum + x
     );
 
-    const leftMargin = (doc.internal.pageSize.getWidth() / 2 - tableWidth) / 2;
+    const leftMargin = (scWidth - tableWidth) / 2;
 
     doc.autoTable({
         startY: y,
@@ -1121,127 +1440,1090 @@ function pdfAddExtraAttempts(doc, scPdfData, x, y) {
     return doc.lastAutoTable.finalY - doc.lastAutoTable.settings.startY;
 }
 
+/* Multiblind scorecards have one attempt per scorecard, with columns for the cubes attempted, the time limit, the time, and the cubes solved */
+
+/* Constants for multiblind attempt tables. Widths add up to the same width as attemptColWidths */
+const mbfColWidths = [20, 54, 50, 52, 40, 25, 25];
+const mbfHeaderFontSize = 8;
+const mbfRowHeight = 34;
+
 /**
- * Draw a single scorecard for a competitor
+ * Write the attempt number of a multiblind scorecard, e.g. 'Attempt: 2 of 3'
  *
  * @param {jsPDF} doc - jsPDF object
  * @param {SCPDFData} scPdfData - SCPDFData object
- * @param {number} x - Horizontal position of top-left corner of scorecard
- * @param {number} y - Vertical position of top-left corner of scorecard
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
  */
-function drawCompetitorScorecard(doc, scPdfData, x, y) {
-    const funcs = [
-        pdfSkip(21),
-        pdfWriteCompetitionName,
-        pdfSkip(7),
-        pdfAddHeaderTable,
-        pdfSkip(4),
-        pdfWritePersonName,
-        pdfSkip(5),
-        pdfWriteWcaId,
-        pdfSkip(7),
-        pdfWriteTimeLimit,
-        pdfSkip(2),
-        pdfWritePenaltyExample,
-        pdfSkip(7),
-        pdfAddPreCutoffAttempts,
-        pdfWriteCutoff,
-        pdfAddPostCutoffAttempts,
-        pdfSkip(2),
-        pdfWriteExtrasHeader,
-        pdfSkip(2),
-        pdfAddExtraAttempts,
-    ];
+function pdfWriteAttemptNum(doc, scPdfData, x, y, font = {}) {
+    const fontSize = font.fontSize ?? 12;
 
-    for (const func of funcs) {
-        y += func(doc, scPdfData, x, y);
-    }
+    return pdfTextBoldAndRegular(
+        doc,
+        x,
+        y,
+        fontSize,
+        'Attempt',
+        `${scPdfData.attempt} of ${scPdfData.numAttempts}`,
+    );
 }
 
 /**
- * Draw a single round-specific blank scorecard
+ * Add a multiblind attempt table with a header row and a single attempt row
  *
  * @param {jsPDF} doc - jsPDF object
- * @param {SCPDFData} scPdfData - SCPDFData object
- * @param {number} x - Horizontal position of top-left corner of scorecard
- * @param {number} y - Vertical position of top-left corner of scorecard
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {string} attemptText - Text for the attempt column, e.g. '2' or 'E1'
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
  */
-function drawRoundBlankScorecard(doc, scPdfData, x, y) {
-    const funcs = [
-        pdfSkip(21),
-        pdfWriteCompetitionName,
-        pdfSkip(7),
-        pdfAddHeaderTable,
-        // Leave enough space to write the name and WCA ID
-        pdfSkip(58),
-        pdfWriteTimeLimit,
-        pdfSkip(2),
-        pdfWritePenaltyExample,
-        pdfSkip(7),
-        pdfAddPreCutoffAttempts,
-        pdfWriteCutoff,
-        pdfAddPostCutoffAttempts,
-        pdfSkip(2),
-        pdfWriteExtrasHeader,
-        pdfSkip(2),
-        pdfAddExtraAttempts,
-    ];
+function pdfAddMbfAttemptTable(doc, x, y, attemptText) {
+    const head = [[ '#', 'Attempted', 'Time limit', 'Time', 'Solved', 'J', 'C' ]];
+    const body = [[ attemptText, '', '', '', '', '', '' ]];
 
-    for (const func of funcs) {
-        y += func(doc, scPdfData, x, y);
+    const columnStyles = {};
+    for (let i = 0; i < mbfColWidths.length; i++) {
+        columnStyles[i] = { cellWidth: mbfColWidths[i] };
     }
+
+    // Total sum of mbfColWidths
+    const tableWidth = mbfColWidths.reduce(
+        (sum, x) => sum + x
+    );
+
+    const leftMargin = (scWidth - tableWidth) / 2;
+
+    doc.autoTable({
+        startY: y,
+        margin: {
+            top: 0,
+            bottom: 0,
+            left: x + leftMargin,
+            right: 0,
+        },
+        head: head,
+        body: body,
+        theme: 'grid',
+
+        columnStyles: columnStyles,
+
+        styles: {
+            font: 'OpenSans',
+            fontSize: attemptFontSize,
+            fontStyle: 'bold',
+            textColor: [0, 0, 0], // black text
+            lineColor: [0, 0, 0], // black lines
+            lineWidth: attemptLineWidth,
+            halign: 'center',
+            valign: 'middle',
+            cellPadding: 3.5,
+        },
+
+        headStyles: {
+            fontSize: mbfHeaderFontSize,
+            fillColor: [200, 200, 200], // gray background
+        },
+
+        bodyStyles: {
+            // Leave room to write the results
+            minCellHeight: mbfRowHeight,
+        },
+
+        // Suppress spurious warning:
+        // 'Of the table content, x units width could not fit page'
+        tableWidth: 'wrap',
+    })
+
+    return doc.lastAutoTable.finalY - doc.lastAutoTable.settings.startY;
 }
 
 /**
- * Draw a single scorecard corresponding to the SCPDFData object
+ * Add the multiblind attempt table for the scorecard's attempt
  *
  * @param {jsPDF} doc - jsPDF object
  * @param {SCPDFData} scPdfData - SCPDFData object
- * @param {number} x - Horizontal position of top-left corner of scorecard
- * @param {number} y - Vertical position of top-left corner of scorecard
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
  */
-function drawScorecard(doc, scPdfData, x, y) {
-    const typeToFunc = {
-        [SCType.competitor]: drawCompetitorScorecard,
-        [SCType.roundBlank]: drawRoundBlankScorecard,
-    };
-
-    typeToFunc[scPdfData.type](doc, scPdfData, x, y);
+function pdfAddMbfAttempt(doc, scPdfData, x, y) {
+    return pdfAddMbfAttemptTable(doc, x, y, scPdfData.attempt);
 }
 
 /**
- * Parse an array of SCPDFData objects and draw up to 4 scorecards on the given document
+ * Add a multiblind attempt table for an extra attempt
  *
  * @param {jsPDF} doc - jsPDF object
- * @param {SCPDFData[]} scPdfSubset - array of 4 SCPDFData objects
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
  */
-function draw4Scorecards(doc, scPdfSubset) {
-    /* Ideally, length of scPdfSubset is exactly 4, with blank scorecards at the end if needed */
-    if (scPdfSubset.length < 4) {
-        const eventAndRound = scPdfSubset[0].eventAndRoundText;
-        console.log(`Warning: ${eventAndRound}: length of scPdfSubset is ${scPdfSubset.length} instead of 4. Did you mean to add blank scorecards to the end?`)
-    } else if (scPdfSubset.length > 4) {
-        throw Error(`Length of scPdfSubset is ${scPdfSubset.length} (must be <= 4)`);
-    }
-
-    const xCenter = doc.internal.pageSize.getWidth() / 2;
-    const yCenter = doc.internal.pageSize.getHeight() / 2;
-
-    /* (x, y) coordinates coordinates corresponding to a
-     * scorecard position in a 2x2 grid
-     */
-    const coords = [
-        [0,       0],
-        [xCenter, 0],
-        [0,       yCenter],
-        [xCenter, yCenter],
-    ];
+function pdfAddMbfExtraAttempt(doc, scPdfData, x, y) {
+    return pdfAddMbfAttemptTable(doc, x, y, 'E1');
+}
+
+/**
+ * Write a reference for computing the multiblind time limit from the number of cubes attempted
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {import('./templates.js').SectionFont} [font] - Font from the scorecard template
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteMbfTimeLimitTable(doc, scPdfData, x, y, font = {}) {
+    const fontSize = font.fontSize ?? 8.5;
+
+    doc.setFontSize(fontSize);
+    doc.setFont('OpenSans', font.fontStyle ?? 'normal');
+
+    doc.text(
+        '2 cubes: 20:00 | 3: 30:00 | 4: 40:00 | 5: 50:00 | 6 or more: 1:00:00',
+        x + pdfGetScXCenter(doc),
+        y + fontSize,
+        { align: 'center' },
+    );
+
+    return fontSize;
+}
+
+/* FMC solution sheets take up a full page, so the functions below center their content on the page instead of a quarter page */
+
+// Left/right margin for FMC solution sheets
+const fmcMargin = 54;
+
+/**
+ * Return the horizontal center coordinate of an FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @returns {number}
+ */
+function pdfGetFmcXCenter(doc) {
+    return fullPageWidth / 2;
+}
+
+/**
+ * Return the usable width of an FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @returns {number}
+ */
+function pdfGetFmcWidth(doc) {
+    return fullPageWidth - (fmcMargin * 2);
+}
+
+/**
+ * Write the competitor's staff duties for the event at the bottom of an FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} - amount to update the vertical write position by
+ */
+function pdfWriteFmcStaffDuties(doc, scPdfData, x, y) {
+    return pdfWriteStaffText(doc, scPdfData, x + pdfGetFmcXCenter(doc), y, pdfGetFmcWidth(doc), 9, 3);
+}
+
+/**
+ * Write the title of the competition at the top of an FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteFmcCompetitionName(doc, scPdfData, x, y) {
+    const defaultSize = 14;
+
+    // Leave room for a QR code in the top-right corner on both sides, so the name stays centered
+    const qrSpace = scPdfData.codeType === MachineCodeType.qr ? fmcCodeArea.qrSize + qrGap : 0;
+
+    doc.setFont('OpenSans', 'bold');
+    getFittingFontSize(doc, scPdfData.compName, pdfGetFmcWidth(doc) - (qrSpace * 2), defaultSize);
+
+    doc.text(
+        scPdfData.compName,
+        x + pdfGetFmcXCenter(doc),
+        y + defaultSize,
+        { align: 'center' },
+    );
+
+    return defaultSize;
+}
+
+/**
+ * Add a table that includes the competitor ID, event, round, group, and attempt of an FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfAddFmcHeaderTable(doc, scPdfData, x, y) {
+    const head = [[
+        'ID',
+        'Event',
+        'Group',
+        'Attempt',
+    ]];
+
+    // For blank solution sheets, some of these values are null
+    const body = [[
+        scPdfData.registrantId ?? '',
+        scPdfData.eventAndRoundText ?? '',
+        scPdfData.group ?? '',
+        scPdfData.attempt ?? '',
+    ]];
+
+    const colWidths = [
+        60,
+        260,
+        70,
+        70,
+    ];
+
+    if (scPdfData.showStation) {
+        head[0].push('Station');
+        body[0].push(scPdfData.station ?? '');
+        colWidths[1] -= 70;
+        colWidths.push(70);
+    }
+
+    const columnStyles = {};
+    for (let i = 0; i < colWidths.length; i++) {
+        columnStyles[i] = { cellWidth: colWidths[i] };
+    }
+
+    // Total sum of colWidths
+    const tableWidth = colWidths.reduce(
+        (sum, x) => sum + x
+    );
+
+    const leftMargin = (fullPageWidth - tableWidth) / 2;
+
+    doc.autoTable({
+        startY: y,
+        margin: {
+            top: 0,
+            bottom: 0,
+            left: x + leftMargin,
+            right: 0,
+        },
+        head: head,
+        body: body,
+        theme: 'grid',
+
+        columnStyles: columnStyles,
+
+        styles: {
+            font: 'OpenSans',
+            fontSize: 12,
+            textColor: [0, 0, 0], // black text
+            lineColor: [0, 0, 0], // black lines
+            lineWidth: 0.75,
+            halign: 'center',
+            valign: 'middle',
+            cellPadding: 5,
+        },
+
+        headStyles: {
+            fillColor: [200, 200, 200], // gray background
+            fontStyle: 'bold',
+            cellPadding: 4,
+        },
+
+        // Suppress spurious warning:
+        // 'Of the table content, x units width could not fit page'
+        tableWidth: 'wrap',
+    })
+
+    return doc.lastAutoTable.finalY - doc.lastAutoTable.settings.startY;
+}
+
+/**
+ * Write the competitor's name and WCA ID on an FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteFmcPerson(doc, scPdfData, x, y) {
+    const wcaIdFontSize = 13;
+    const whitespace = 5;
+
+    doc.setFont('OpenSans', 'normal');
+    const nameFontSize = getFittingFontSize(doc, scPdfData.personNameRoman, pdfGetFmcWidth(doc), 22);
+    doc.text(
+        scPdfData.personNameRoman,
+        x + pdfGetFmcXCenter(doc),
+        y + nameFontSize,
+        { align: 'center' },
+    );
+
+    doc.setFontSize(wcaIdFontSize);
+    doc.text(
+        scPdfData.wcaId,
+        x + pdfGetFmcXCenter(doc),
+        y + nameFontSize + whitespace + wcaIdFontSize,
+        { align: 'center' },
+    );
+
+    return nameFontSize + whitespace + wcaIdFontSize;
+}
+
+/**
+ * Write labeled lines for the competitor to fill in their name and WCA ID on a blank FMC solution sheet
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteFmcBlankPerson(doc, scPdfData, x, y) {
+    const fontSize = 12;
+    // Leave room above the line for handwriting
+    const lineY = y + fontSize + 12;
+    const gap = 6;
+
+    const nameStart = x + fmcMargin;
+    const wcaIdStart = nameStart + (pdfGetFmcWidth(doc) * 0.65);
+    const end = x + fmcMargin + pdfGetFmcWidth(doc);
+
+    doc.setFontSize(fontSize);
+    doc.setFont('OpenSans', 'bold');
+
+    const fields = [
+        ['Name:', nameStart, wcaIdStart - (gap * 2)],
+        ['WCA ID:', wcaIdStart, end],
+    ];
+
+    for (const [label, start, lineEnd] of fields) {
+        doc.text(label, start, lineY);
+        doc.line(start + doc.getTextWidth(label) + gap, lineY, lineEnd, lineY);
+    }
+
+    return lineY - y;
+}
+
+/**
+ * Write the time limit and cutoff of an FMC round
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteFmcLimits(doc, scPdfData, x, y) {
+    const fontSize = 11;
+    const whitespace = 3;
+
+    // pdfTextBoldAndRegular centers text on a quarter-page scorecard; shift it to center it on the full page
+    const xShifted = x + pdfGetScXCenter(doc);
+
+    let height = pdfTextBoldAndRegular(
+        doc,
+        xShifted,
+        y,
+        fontSize,
+        scPdfData.timeLimitStartText,
+        scPdfData.timeLimitEndText,
+    );
+
+    if (scPdfData.cutoffText !== null) {
+        height += whitespace;
+        height += pdfTextBoldAndRegular(
+            doc,
+            xShifted,
+            y + height,
+            fontSize,
+            'Cutoff',
+            scPdfData.cutoffText,
+        );
+    }
+
+    return height;
+}
+
+/**
+ * Write a bold label for a box on an FMC solution sheet, optionally followed by a hint in normal style
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @param {string} label - Text to print in bold style
+ * @param {string} hint - Text to print in normal style after the label; may be empty
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteFmcBoxLabel(doc, x, y, label, hint) {
+    const fontSize = 11;
+    const labelX = x + fmcMargin;
+
+    doc.setFontSize(fontSize);
+    doc.setFont('OpenSans', 'bold');
+    doc.text(label, labelX, y + fontSize);
+
+    if (hint !== '') {
+        const hintX = labelX + doc.getTextWidth(`${label} `);
+
+        doc.setFontSize(9);
+        doc.setFont('OpenSans', 'normal');
+        doc.text(hint, hintX, y + fontSize);
+    }
+
+    // Whitespace between the label and the box
+    return fontSize + 4;
+}
+
+/**
+ * Add a box for the scramble of an FMC attempt
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfAddFmcScrambleBox(doc, scPdfData, x, y) {
+    const boxHeight = 44;
+
+    const labelHeight = pdfWriteFmcBoxLabel(doc, x, y, 'Scramble', '');
+
+    doc.setLineWidth(0.75);
+    doc.rect(x + fmcMargin, y + labelHeight, pdfGetFmcWidth(doc), boxHeight);
+    doc.setLineWidth(1);
+
+    return labelHeight + boxHeight;
+}
+
+/**
+ * Add a ruled box for the competitor's solution
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfAddFmcSolutionBox(doc, scPdfData, x, y) {
+    const numLines = 10;
+    const lineSpacing = 24;
+    const boxHeight = numLines * lineSpacing;
+
+    const labelHeight = pdfWriteFmcBoxLabel(
+        doc,
+        x,
+        y,
+        'Solution',
+        '(write clearly; only the solution on this sheet will be judged)',
+    );
+
+    const boxX = x + fmcMargin;
+    const boxY = y + labelHeight;
+    const boxWidth = pdfGetFmcWidth(doc);
+
+    doc.setLineWidth(0.75);
+    doc.rect(boxX, boxY, boxWidth, boxHeight);
+
+    // Light gray ruled lines inside the box
+    doc.setDrawColor(180, 180, 180);
+    doc.setLineWidth(0.5);
+    for (let i = 1; i < numLines; i++) {
+        const lineY = boxY + (i * lineSpacing);
+        doc.line(boxX, lineY, boxX + boxWidth, lineY);
+    }
+
+    /* Reset the line color and width */
+    doc.setDrawColor(0, 0, 0);
+    doc.setLineWidth(1);
+
+    return labelHeight + boxHeight;
+}
+
+/**
+ * Add a table with boxes for the move count and the judge's and competitor's initials
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfAddFmcMoveCountTable(doc, scPdfData, x, y) {
+    const head = [[
+        'Number of moves',
+        'Judge initials',
+        'Competitor initials',
+    ]];
+
+    const body = [[ '', '', '' ]];
+
+    const colWidths = [
+        160,
+        120,
+        120,
+    ];
+
+    const columnStyles = {};
+    for (let i = 0; i < colWidths.length; i++) {
+        columnStyles[i] = { cellWidth: colWidths[i] };
+    }
+
+    // Total sum of colWidths
+    const tableWidth = colWidths.reduce(
+        (sum, x) => sum + x
+    );
+
+    const leftMargin = (fullPageWidth - tableWidth) / 2;
+
+    doc.autoTable({
+        startY: y,
+        margin: {
+            top: 0,
+            bottom: 0,
+            left: x + leftMargin,
+            right: 0,
+        },
+        head: head,
+        body: body,
+        theme: 'grid',
+
+        columnStyles: columnStyles,
+
+        styles: {
+            font: 'OpenSans',
+            fontSize: 11,
+            textColor: [0, 0, 0], // black text
+            lineColor: [0, 0, 0], // black lines
+            lineWidth: 0.75,
+            halign: 'center',
+            valign: 'middle',
+            cellPadding: 4,
+        },
+
+        headStyles: {
+            fillColor: [200, 200, 200], // gray background
+            fontStyle: 'bold',
+        },
+
+        bodyStyles: {
+            // Leave room to write the move count
+            minCellHeight: 40,
+        },
+
+        // Suppress spurious warning:
+        // 'Of the table content, x units width could not fit page'
+        tableWidth: 'wrap',
+    })
+
+    return doc.lastAutoTable.finalY - doc.lastAutoTable.settings.startY;
+}
+
+/**
+ * Regulation reminders printed at the bottom of each FMC solution sheet (see Article E of the WCA Regulations)
+ * @type {string[]}
+ */
+const fmcReminders = [
+    'You have 1 hour to find a solution. You may submit only one solution, written on this sheet.',
+    'You may use paper and pens provided by the judge, up to 3 Rubik\'s Cubes, and unlimited colored stickers.',
+    'Allowed moves: face turns (R, U2, F\'), wide turns (Rw, 2Lw, Uw2) and cube rotations (x, y2, z\'). Slice moves (M, E, S) are not allowed.',
+    'The solution must be at most 80 moves long, including cube rotations, and must not be derived from the scramble.',
+    'Cube rotations are not counted in the final result.',
+];
+
+/**
+ * Write the regulation reminders for FMC
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position
+ * @param {number} y - Vertical position
+ * @returns {number} Height of what was drawn, i.e. how far to move the vertical write position down
+ */
+function pdfWriteFmcReminders(doc, scPdfData, x, y) {
+    const fontSize = 9;
+    const lineHeight = fontSize + 3;
+    const bulletIndent = 10;
+    const textX = x + fmcMargin;
+
+    let height = pdfWriteFmcBoxLabel(doc, x, y, 'Reminders', '');
+
+    doc.setFontSize(fontSize);
+    doc.setFont('OpenSans', 'normal');
+
+    for (const reminder of fmcReminders) {
+        const lines = doc.splitTextToSize(reminder, pdfGetFmcWidth(doc) - bulletIndent);
+
+        doc.text('•', textX, y + height + fontSize);
+
+        for (const line of lines) {
+            doc.text(line, textX + bulletIndent, y + height + fontSize);
+            height += lineHeight;
+        }
+    }
+
+    return height;
+}
+
+/* Machine-readable codes go in the top-right corner, above the header table.
+ * Code 128 barcodes are too wide for the corner, so they go across the top instead */
+
+/**
+ * Where the machine-readable code goes on a scorecard or FMC solution sheet
+ * @typedef {object} CodeArea
+ * @property {number} width - Width of the scorecard
+ * @property {number} margin - Left/right margin of the scorecard's content; the code stays inside it
+ * @property {number} top - Distance from the top of the scorecard to the top of a QR code
+ * @property {number} qrSize - Width and height of a QR code
+ * @property {number} barcodeTop - Distance from the top of the scorecard to the top of a barcode
+ * @property {number} barcodeHeight - Height of a barcode
+ */
+
+/** @type {CodeArea} */
+const scCodeArea = {
+    width: scWidth,
+    margin: textMargin,
+    top: 10,
+    qrSize: 27,
+    // As tall as fits above the competition name
+    barcodeTop: 6,
+    barcodeHeight: 14,
+};
+
+/** @type {CodeArea} */
+const fmcCodeArea = {
+    width: fullPageWidth,
+    margin: fmcMargin,
+    top: 10,
+    qrSize: 40,
+    barcodeTop: 10,
+    barcodeHeight: 20,
+};
+
+// Space between a QR code and the competition name
+const qrGap = 4;
+
+/**
+ * Draw the scorecard's machine-readable code, if it has one
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ * @param {CodeArea} area - Where the code goes
+ * @param {number} scale - Scale factor from the drawn size to the printed size, to check that a barcode can be scanned
+ */
+function drawMachineCode(doc, scPdfData, x, y, area, scale) {
+    switch (scPdfData.codeType) {
+        case MachineCodeType.qr:
+            drawQrCode(doc, scPdfData.codeText, x + area.width - area.margin - area.qrSize, y + area.top, area.qrSize);
+            break;
+        case MachineCodeType.code128:
+            drawCode128(doc, scPdfData.codeText, x + area.margin, y + area.barcodeTop, area.width - (area.margin * 2),
+                area.barcodeHeight, scale);
+            break;
+    }
+}
+
+/**
+ * Sections that scorecard templates can use, by the name used in the template
+ *
+ * Each kind of scorecard only has the data for some of them, so each layout can only use its own sections
+ * (see templateScSectionNames, templateMbfSectionNames and templateFmcSectionNames)
+ * @type {Object<string, function(jsPDF, SCPDFData, number, number, object): number>}
+ */
+const templateSections = {
+    competitionName: pdfWriteCompetitionName,
+    headerTable: pdfAddHeaderTable,
+    personName: pdfWritePersonName,
+    wcaId: pdfWriteWcaId,
+    timeLimit: pdfWriteTimeLimit,
+    penaltyExample: pdfWritePenaltyExample,
+    preCutoffAttempts: pdfAddPreCutoffAttempts,
+    cutoff: pdfWriteCutoff,
+    postCutoffAttempts: pdfAddPostCutoffAttempts,
+    extrasHeader: pdfWriteExtrasHeader,
+    extraAttempts: pdfAddExtraAttempts,
+    staffDuties: pdfWriteStaffDuties,
+    attemptNum: pdfWriteAttemptNum,
+    mbfAttempt: pdfAddMbfAttempt,
+    mbfExtraAttempt: pdfAddMbfExtraAttempt,
+    mbfTimeLimitTable: pdfWriteMbfTimeLimitTable,
+    fmcCompetitionName: pdfWriteFmcCompetitionName,
+    fmcHeaderTable: pdfAddFmcHeaderTable,
+    fmcPerson: pdfWriteFmcPerson,
+    fmcBlankPerson: pdfWriteFmcBlankPerson,
+    fmcLimits: pdfWriteFmcLimits,
+    fmcScrambleBox: pdfAddFmcScrambleBox,
+    fmcSolutionBox: pdfAddFmcSolutionBox,
+    fmcMoveCountTable: pdfAddFmcMoveCountTable,
+    fmcReminders: pdfWriteFmcReminders,
+    fmcStaffDuties: pdfWriteFmcStaffDuties,
+};
+
+/**
+ * Names of the sections that scorecard templates can use
+ * @type {string[]}
+ */
+export const templateSectionNames = Object.keys(templateSections);
+
+/**
+ * Names of the sections that the layouts of scorecards for other events ("competitor" and "blank") can use
+ * @type {string[]}
+ */
+export const templateScSectionNames = [
+    'competitionName',
+    'headerTable',
+    'personName',
+    'wcaId',
+    'timeLimit',
+    'penaltyExample',
+    'preCutoffAttempts',
+    'cutoff',
+    'postCutoffAttempts',
+    'extrasHeader',
+    'extraAttempts',
+    'staffDuties',
+];
+
+/**
+ * Names of the sections that the layouts of multiblind scorecards ("mbfCompetitor" and "mbfBlank") can use
+ * @type {string[]}
+ */
+export const templateMbfSectionNames = [
+    'competitionName',
+    'headerTable',
+    'personName',
+    'wcaId',
+    'attemptNum',
+    'timeLimit',
+    'mbfTimeLimitTable',
+    'mbfAttempt',
+    'cutoff',
+    'extrasHeader',
+    'mbfExtraAttempt',
+    'staffDuties',
+];
+
+/**
+ * Names of the sections that the layouts of FMC solution sheets ("fmcCompetitor" and "fmcBlank") can use, which are
+ * drawn for a full page
+ * @type {string[]}
+ */
+export const templateFmcSectionNames = templateSectionNames.filter(x => x.startsWith('fmc'));
+
+/**
+ * Names of the sections that write the competitor's details, so blank scorecard layouts can't use them
+ * @type {string[]}
+ */
+export const templatePersonSectionNames = ['personName', 'wcaId', 'fmcPerson'];
+
+/**
+ * Names of the sections that take a font from the template; the others (e.g. tables) have a fixed font
+ * @type {string[]}
+ */
+export const templateFontSectionNames = [
+    'competitionName',
+    'personName',
+    'wcaId',
+    'timeLimit',
+    'penaltyExample',
+    'cutoff',
+    'extrasHeader',
+    'staffDuties',
+    'attemptNum',
+    'mbfTimeLimitTable',
+];
+
+/**
+ * Draw the items of a scorecard template from top to bottom
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ * @param {import('./templates.js').TemplateItem[]} items - Sections and spacing from the template
+ */
+function drawTemplateItems(doc, scPdfData, x, y, items) {
+    for (const item of items) {
+        y += item.section === undefined
+            ? item.skip
+            : templateSections[item.section](doc, scPdfData, x, y, item);
+    }
+}
+
+/**
+ * Draw a single scorecard for a competitor, using the competitor layout of the scorecard template
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ */
+function drawCompetitorScorecard(doc, scPdfData, x, y) {
+    drawTemplateItems(doc, scPdfData, x, y, scPdfData.template.competitor);
+}
+
+/**
+ * Draw a single round-specific or format blank scorecard, using the blank layout of the scorecard template
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ */
+function drawRoundBlankScorecard(doc, scPdfData, x, y) {
+    drawTemplateItems(doc, scPdfData, x, y, scPdfData.template.blank);
+}
+
+/**
+ * Draw a single multiblind scorecard for one attempt of a competitor, using the multiblind competitor layout of the
+ * scorecard template
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ */
+function drawMbfCompetitorScorecard(doc, scPdfData, x, y) {
+    drawTemplateItems(doc, scPdfData, x, y, scPdfData.template.mbfCompetitor);
+}
+
+/**
+ * Draw a single round-specific blank multiblind scorecard for one attempt, using the multiblind blank layout of the
+ * scorecard template
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ */
+function drawMbfBlankScorecard(doc, scPdfData, x, y) {
+    drawTemplateItems(doc, scPdfData, x, y, scPdfData.template.mbfBlank);
+}
+
+/**
+ * Draw a single FMC solution sheet for a competitor, using the FMC competitor layout of the scorecard template
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of the sheet
+ * @param {number} y - Vertical position of top-left corner of the sheet
+ */
+function drawFmcCompetitorSheet(doc, scPdfData, x, y) {
+    drawTemplateItems(doc, scPdfData, x, y, scPdfData.template.fmcCompetitor);
+}
+
+/**
+ * Draw a single round-specific blank FMC solution sheet, using the FMC blank layout of the scorecard template
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of the sheet
+ * @param {number} y - Vertical position of top-left corner of the sheet
+ */
+function drawFmcBlankSheet(doc, scPdfData, x, y) {
+    drawTemplateItems(doc, scPdfData, x, y, scPdfData.template.fmcBlank);
+}
+
+/**
+ * Draw a single scorecard corresponding to the SCPDFData object, with its machine-readable code
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {number} x - Horizontal position of top-left corner of scorecard
+ * @param {number} y - Vertical position of top-left corner of scorecard
+ * @param {number} scale - Scale factor from the drawn size to the printed size
+ */
+function drawScorecard(doc, scPdfData, x, y, scale) {
+    /* FMC uses solution sheets and multiblind uses one-attempt scorecards instead of the usual scorecards */
+    const eventIdToTypeFuncs = {
+        '333fm': {
+            [SCType.competitor]: drawFmcCompetitorSheet,
+            [SCType.roundBlank]: drawFmcBlankSheet,
+        },
+        '333mbf': {
+            [SCType.competitor]: drawMbfCompetitorScorecard,
+            [SCType.roundBlank]: drawMbfBlankScorecard,
+        },
+    };
+
+    const typeToFunc = eventIdToTypeFuncs[scPdfData.eventId] ?? {
+        [SCType.competitor]: drawCompetitorScorecard,
+        [SCType.roundBlank]: drawRoundBlankScorecard,
+        [SCType.formatBlank]: drawRoundBlankScorecard,
+    };
+
+    typeToFunc[scPdfData.type](doc, scPdfData, x, y);
+
+    const codeArea = scPdfData.eventId === '333fm' ? fmcCodeArea : scCodeArea;
+    drawMachineCode(doc, scPdfData, x, y, codeArea, scale);
+}
+
+/**
+ * Draw a scorecard at its place on the page. The scorecard is drawn at its usual size with its top-left corner at (0, 0),
+ * and a transformation moves and scales it to fit its place
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData} scPdfData - SCPDFData object
+ * @param {import('./layout.js').ScCell} cell - Where the scorecard goes on the page
+ */
+function drawScorecardInCell(doc, scPdfData, cell) {
+    // PDF coordinates start at the bottom of the page, while jsPDF coordinates start at the top
+    const pageHeight = doc.internal.pageSize.getHeight();
+    const yTranslate = pageHeight * (1 - cell.scale) - cell.y;
+
+    doc.saveGraphicsState();
+    doc.setCurrentTransformationMatrix(new doc.Matrix(cell.scale, 0, 0, cell.scale, cell.x, yTranslate));
+
+    drawScorecard(doc, scPdfData, 0, 0, cell.scale);
+
+    doc.restoreGraphicsState();
+}
+
+/**
+ * Parse an array of SCPDFData objects and draw a page of scorecards on the given document
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {ScLayout} layout - Layout of the page
+ * @param {SCPDFData[]} scPdfSubset - array of up to layout.scPerPage SCPDFData objects
+ */
+function drawPageScorecards(doc, layout, scPdfSubset) {
+    /* Ideally, length of scPdfSubset is exactly scPerPage, with blank scorecards at the end if needed */
+    if (scPdfSubset.length < layout.scPerPage) {
+        const eventAndRound = scPdfSubset[0].eventAndRoundText;
+        console.log(`Warning: ${eventAndRound}: length of scPdfSubset is ${scPdfSubset.length} instead of ${layout.scPerPage}. Did you mean to add blank scorecards to the end?`)
+    } else if (scPdfSubset.length > layout.scPerPage) {
+        throw Error(`Length of scPdfSubset is ${scPdfSubset.length} (must be <= ${layout.scPerPage})`);
+    }
+
+    const cells = layout.getCells(doc.internal.pageSize.getWidth(), doc.internal.pageSize.getHeight());
 
     for (let i = 0; i < scPdfSubset.length; i++) {
-        let [x, y] = coords[i];
+        drawScorecardInCell(doc, scPdfSubset[i], cells[i]);
+    }
+}
+
+/**
+ * Create an empty scorecard PDF. jsPDF makes the first page along with the document
+ *
+ * @param {ScLayout} layout - Layout of the first page
+ * @param {string} pdfFormat - Paper size (a key of paperSizes)
+ * @returns {jsPDF}
+ */
+function newScPdf(layout, pdfFormat) {
+    return new jsPDF(
+        {
+            unit: 'pt',
+            format: pdfFormat,
+            orientation: layout.orientation,
+        }
+    );
+}
+
+/**
+ * Draw scorecards on as many pages as needed at the end of the PDF
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {SCPDFData[]} scPdfArr - SCPDFData objects, in print order
+ * @param {ScLayout} layout - Layout of each page
+ * @param {string} pdfFormat - Paper size (a key of paperSizes)
+ * @param {bool} onFirstPage - Whether to start on the first page that jsPDF made along with the document, instead of a new page
+ * @returns {number} Page number of the first page drawn on
+ */
+function drawScPages(doc, scPdfArr, layout, pdfFormat, onFirstPage) {
+    const numPages = Math.ceil(scPdfArr.length / layout.scPerPage);
+    const firstPage = onFirstPage ? 1 : doc.getNumberOfPages() + 1;
+
+    for (let i = 0; i < numPages; i++) {
+        if (i > 0 || !onFirstPage)
+            doc.addPage(pdfFormat, layout.orientation);
 
-        drawScorecard(doc, scPdfSubset[i], x, y);
+        /* Single scorecards (e.g. FMC solution sheets) don't need cut lines */
+        if (layout.scPerPage > 1)
+            drawCutLines(doc, layout);
+
+        drawPageScorecards(doc, layout, scPdfArr.slice(i * layout.scPerPage, (i + 1) * layout.scPerPage));
     }
+
+    return firstPage;
+}
+
+/**
+ * A generated PDF that hasn't been downloaded yet
+ * @typedef {object} PdfFile
+ * @property {string} fileName - Name of the PDF file, e.g. 'WesternChampionship2026_3x3x3_Cube.pdf'
+ * @property {jsPDF} doc - jsPDF object
+ * @property {number} numCards - Number of scorecards in the PDF, including blank scorecards
+ * @property {number} numBlankCards - Number of blank scorecards in the PDF
+ */
+
+/**
+ * Enum for how the scorecards are split into PDFs
+ */
+export const PdfSplit = Object.freeze({
+    /* One PDF for the whole competition */
+    competition : 'competition',
+    /* One PDF for each event */
+    event       : 'event',
+    /* One PDF for each round (FMC and multiblind: each round's attempts are in the same PDF) */
+    round       : 'round',
+    /* One PDF for each group, and one for each round's blank scorecards */
+    group       : 'group',
+});
+
+/**
+ * Make text safe to use in a file name. Custom event names can have characters that aren't allowed in file names
+ *
+ * @param {string} text - e.g. '3x3x3 Cube'
+ * @returns {string} e.g. '3x3x3_Cube'
+ */
+function toFileNamePart(text) {
+    return text.replace(/[^\p{L}\p{N}-]+/gu, '_');
+}
+
+/**
+ * Create a PdfFile object for a generated PDF
+ *
+ * @param {string} fileName - Name of the PDF file
+ * @param {jsPDF} doc - jsPDF object
+ * @param {(SCData | SCPDFData)[]} scArr - Scorecards in the PDF
+ * @returns {PdfFile}
+ */
+function makePdfFile(fileName, doc, scArr) {
+    return {
+        fileName: fileName,
+        doc: doc,
+        numCards: scArr.length,
+        numBlankCards: scArr.filter(x => x.type !== SCType.competitor).length,
+    };
+}
+
+/**
+ * Draw scorecards on as many pages as needed in a new PDF
+ *
+ * @param {SCPDFData[]} scPdfArr - SCPDFData objects, in print order
+ * @param {ScLayout} layout - Layout of each page
+ * @param {string} pdfFormat - Paper size (a key of paperSizes)
+ * @param {string} fileName - Name of the PDF file, e.g. 'WesternChampionship2026_3x3x3_Cube.pdf'
+ * @returns {PdfFile}
+ */
+function genScPdf(scPdfArr, layout, pdfFormat, fileName) {
+    const doc = newScPdf(layout, pdfFormat);
+
+    drawScPages(doc, scPdfArr, layout, pdfFormat, true);
+
+    return makePdfFile(fileName, doc, scPdfArr);
 }
 
 /**
@@ -1250,48 +2532,299 @@ function draw4Scorecards(doc, scPdfSubset) {
  * @param {WCIF} wcif - WCIF object
  * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
  * @param {string} eventId - Event ID, e.g. '333'
+ * @returns {PdfFile}
  */
 function genScPdfEvent(wcif, optionsObj, eventId) {
     const scPdfArr = getScPdfDataForEvent(wcif, optionsObj, eventId);
 
-    /* TODO: move this to its own function */
-    const pdfFormat = 'letter';
-    const doc = new jsPDF(
-        {
-            unit: 'pt',
-            format: pdfFormat,
+    const eventName = toFileNamePart(getEventName(wcif, optionsObj, eventId));
+    return genScPdf(scPdfArr, getScLayout(eventId, optionsObj), getPaperSize(optionsObj), `${wcif.compId}_${eventName}.pdf`);
+}
+
+/**
+ * Generate a scorecard PDF for each round of the given event. Rounds without any scorecards are skipped
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @returns {PdfFile[]}
+ */
+function genScPdfsForRounds(wcif, optionsObj, eventId) {
+    const layout = getScLayout(eventId, optionsObj);
+    const pdfFormat = getPaperSize(optionsObj);
+    const eventName = toFileNamePart(getEventName(wcif, optionsObj, eventId));
+
+    const pdfFiles = [];
+
+    for (let round = 1; round <= wcif.getNumRounds(eventId); round++) {
+        const scPdfArr = getScDataForRound(wcif, optionsObj, eventId, round)
+            .map(SCPDFData.fromScData);
+
+        if (scPdfArr.length > 0)
+            pdfFiles.push(genScPdf(scPdfArr, layout, pdfFormat, `${wcif.compId}_${eventName}_Round_${round}.pdf`));
+    }
+
+    return pdfFiles;
+}
+
+/**
+ * Generate a scorecard PDF for each group of the given event, and one for each round's blank scorecards.
+ * Each PDF's last page is filled out with blank scorecards
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} eventId - Event ID, e.g. '333'
+ * @returns {PdfFile[]}
+ */
+function genScPdfsForGroups(wcif, optionsObj, eventId) {
+    const layout = getScLayout(eventId, optionsObj);
+    const pdfFormat = getPaperSize(optionsObj);
+    const eventName = toFileNamePart(getEventName(wcif, optionsObj, eventId));
+
+    const pdfFiles = [];
+
+    for (let round = 1; round <= wcif.getNumRounds(eventId); round++) {
+        // Scorecards for each file, by the end of the file name, in order of the first scorecard
+        const nameToScData = new Map();
+
+        for (const scData of getScDataForRound(wcif, optionsObj, eventId, round)) {
+            const attemptPart = scData.attempt === null ? '' : `_Attempt_${scData.attempt}`;
+            const groupPart = scData.type === SCType.competitor
+                ? `_Group_${toFileNamePart(`${scData.groupRoomAbbr ?? ''}${scData.groupNum ?? ''}`)}`
+                : '_Blanks';
+            const name = `Round_${round}${attemptPart}${groupPart}`;
+
+            if (!nameToScData.has(name))
+                nameToScData.set(name, []);
+
+            nameToScData.get(name).push(scData);
+        }
+
+        for (const [name, scDataArr] of nameToScData) {
+            const remainder = scDataArr.length % layout.scPerPage;
+
+            if (remainder !== 0) {
+                const { attempt } = scDataArr[0];
+                const fillerBlank = SCData.roundBlankScData(wcif, optionsObj, eventId, round, attempt);
+
+                scDataArr.push(...Array(layout.scPerPage - remainder).fill(fillerBlank));
+            }
+
+            pdfFiles.push(genScPdf(scDataArr.map(SCPDFData.fromScData), layout, pdfFormat,
+                `${wcif.compId}_${eventName}_${name}.pdf`));
+        }
+    }
+
+    return pdfFiles;
+}
+
+/**
+ * Generate a PDF of format blank scorecards, if any were requested
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {PdfFile | null} null if no format blank scorecards were requested
+ */
+function genFormatBlanksPdf(wcif, optionsObj) {
+    const scPdfArr = getScDataForAllFormatBlanks(wcif, optionsObj)
+        .map(SCPDFData.fromScData);
+
+    if (scPdfArr.length === 0)
+        return null;
+
+    return genScPdf(scPdfArr, getScLayout(null, optionsObj), getPaperSize(optionsObj), `${wcif.compId}_Blank_scorecards.pdf`);
+}
+
+/* Combined PDF */
+
+/**
+ * Scorecards for one top-level entry of the combined PDF's outline, e.g. an event
+ * @typedef {object} PdfSection
+ * @property {string} title - Title of the outline entry, e.g. '3x3x3 Cube'
+ * @property {SCData[]} scDataArr - SCData objects, in print order
+ * @property {ScLayout} layout - Layout of the section's pages
+ */
+
+/**
+ * Get the title of the outline entry for the round (or attempt, or format) that a scorecard is part of
+ *
+ * @param {SCData} scData - SCData object
+ * @returns {string} e.g. 'Round 2', 'Round 1, Attempt 3' or 'Average of 5'
+ */
+function getRoundBookmarkTitle(scData) {
+    if (scData.type === SCType.formatBlank)
+        return blankFormatToName[scData.format];
+
+    if (scData.attempt !== null)
+        return `Round ${scData.round}, Attempt ${scData.attempt}`;
+
+    return `Round ${scData.round}`;
+}
+
+/**
+ * Get the title of the outline entry for the group that a scorecard is part of
+ *
+ * @param {SCData} scData - SCData object
+ * @returns {string | null} e.g. 'Group M3' or 'Blank scorecards'; null for format blanks, which have no groups
+ */
+function getGroupBookmarkTitle(scData) {
+    switch (scData.type) {
+        case SCType.competitor:
+            // Same group text as the scorecard, e.g. 'M3'
+            return `Group ${scData.groupRoomAbbr}${scData.groupNum ?? ''}`;
+        case SCType.roundBlank:
+            return 'Blank scorecards';
+        default:
+            return null;
+    }
+}
+
+/**
+ * Get the prefix of the page labels for the round (or attempt) that a scorecard is part of. Pages are numbered from 1 after the prefix
+ *
+ * @param {SCData} scData - SCData object
+ * @returns {string} e.g. 'Pyra R2-' (for page labels like 'Pyra R2-3'), 'FMC R1 A2-' or 'Blanks-'
+ */
+function getPageLabelPrefix(scData) {
+    if (scData.type === SCType.formatBlank)
+        return 'Blanks-';
+
+    const attemptText = scData.attempt === null ? '' : ` A${scData.attempt}`;
+
+    return `${scData.eventShortName} R${scData.round}${attemptText}-`;
+}
+
+/**
+ * Add a section's entries to the outline: one for the section, one for each round, and one for each group.
+ * Each entry goes to the page with the first scorecard it covers
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {PdfSection} section - Section of the PDF
+ * @param {number} firstPage - Page number of the section's first page
+ * @param {{pageNumber: number, prefix: string}[]} pageLabels - Where each page label range starts; ranges for the section are added to it
+ */
+function addSectionBookmarks(doc, section, firstPage, pageLabels) {
+    const sectionItem = doc.outline.add(null, section.title, { pageNumber: firstPage });
+
+    let roundItem = null;
+    let roundTitle = null;
+    let groupTitles = new Set();
+
+    for (const [i, scData] of section.scDataArr.entries()) {
+        const pageNumber = firstPage + Math.floor(i / section.layout.scPerPage);
+
+        // Rounds and attempts start on a new page, since their blank scorecards fill out the last page
+        if (getRoundBookmarkTitle(scData) !== roundTitle) {
+            roundTitle = getRoundBookmarkTitle(scData);
+            roundItem = doc.outline.add(sectionItem, roundTitle, { pageNumber });
+            groupTitles = new Set();
+
+            // Consecutive ranges with the same prefix are numbered as one range
+            const prefix = getPageLabelPrefix(scData);
+            if (pageLabels.at(-1)?.prefix !== prefix)
+                pageLabels.push({ pageNumber, prefix });
         }
-    );
 
-    /* Add all the pages that will be needed. Note that the first page was made when the jsPDF object was made */
-    for (let i = 0; i < (scPdfArr.length / 4) - 1; i++) {
-        doc.addPage(pdfFormat);
+        // Scorecards sorted without regard to groups can switch between groups often, so each group only gets an entry for its first scorecard
+        const groupTitle = getGroupBookmarkTitle(scData);
+        if (groupTitle !== null && !groupTitles.has(groupTitle)) {
+            groupTitles.add(groupTitle);
+            doc.outline.add(roundItem, groupTitle, { pageNumber });
+        }
     }
+}
+
+/**
+ * Label the pages of the PDF, so PDF viewers show e.g. 'Pyra R2-3' instead of a page number
+ *
+ * @param {jsPDF} doc - jsPDF object
+ * @param {{pageNumber: number, prefix: string}[]} pageLabels - Where each page label range starts, in page order
+ */
+function addPageLabels(doc, pageLabels) {
+    // PDF page indexes start at 0; /S /D numbers the pages of each range from 1
+    const nums = pageLabels
+        .map(x => `${x.pageNumber - 1} << /S /D /P (${doc.internal.pdfEscape(x.prefix)}) >>`)
+        .join(' ');
+
+    doc.internal.events.subscribe('putCatalog', () => {
+        doc.internal.write(`/PageLabels << /Nums [${nums}] >>`);
+    });
+}
+
+/**
+ * Generate one scorecard PDF for the whole competition, with an outline entry for each event, round and group, and page labels for each round
+ *
+ * @param {WCIF} wcif - WCIF object
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {PdfFile | null} null if there are no scorecards
+ */
+function genCombinedScPdf(wcif, optionsObj) {
+    const pdfFormat = getPaperSize(optionsObj);
+
+    // Official event names are used since the outline can't show every character that a custom name might have
+    const sections = wcif.getEventIds()
+        .map(eventId => ({
+            title: wcif.getEventName(eventId),
+            scDataArr: getScDataForEvent(wcif, optionsObj, eventId),
+            layout: getScLayout(eventId, optionsObj),
+        }));
+
+    sections.push({
+        title: 'Blank scorecards',
+        scDataArr: getScDataForAllFormatBlanks(wcif, optionsObj),
+        layout: getScLayout(null, optionsObj),
+    });
+
+    const nonEmptySections = sections.filter(x => x.scDataArr.length > 0);
+
+    if (nonEmptySections.length === 0)
+        return null;
+
+    const doc = newScPdf(nonEmptySections[0].layout, pdfFormat);
+    const pageLabels = [];
 
-    let scPdfSubset;
-    for (let i = 0; i < scPdfArr.length / 4; i++) {
-        /* jsPDF pages are 1-indexed */
-        doc.setPage(i + 1);
-        drawCutLines(doc);
+    for (const [i, section] of nonEmptySections.entries()) {
+        const scPdfArr = section.scDataArr.map(SCPDFData.fromScData);
+        const firstPage = drawScPages(doc, scPdfArr, section.layout, pdfFormat, i === 0);
 
-        scPdfSubset = scPdfArr.slice(i * 4, (i + 1) * 4);
-        draw4Scorecards(doc, scPdfSubset);
+        addSectionBookmarks(doc, section, firstPage, pageLabels);
     }
 
-    const eventName = WCIF.eventIdToName[eventId].replaceAll(' ', '_');
-    doc.save(`${wcif.compId}_${eventName}.pdf`);
+    addPageLabels(doc, pageLabels);
+
+    // Show the outline when the PDF is opened
+    doc.setDisplayMode('fullwidth', 'continuous', 'UseOutlines');
+
+    return makePdfFile(`${wcif.compId}_Scorecards.pdf`, doc, nonEmptySections.flatMap(x => x.scDataArr));
 }
 
 /**
- * Generate scorecard PDFs for all events for the given WCIF
+ * Generate scorecard PDFs for all events for the given WCIF, plus a PDF of format blank scorecards if any were requested
  *
  * @param {WCIF} wcif - WCIF object
  * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @param {string} split - How the scorecards are split into PDFs (a PdfSplit value)
+ * @returns {PdfFile[]}
  */
-export function genScPdfsFromWcif(wcif, optionsObj) {
-    for (const eventId of wcif.getEventIds()) {
-        genScPdfEvent(wcif, optionsObj, eventId);
+export function genScPdfsFromWcif(wcif, optionsObj, split = PdfSplit.event) {
+    if (split === PdfSplit.competition) {
+        const pdfFile = genCombinedScPdf(wcif, optionsObj);
+        return pdfFile === null ? [] : [pdfFile];
     }
+
+    const splitToFunc = {
+        [PdfSplit.event]: (eventId) => [genScPdfEvent(wcif, optionsObj, eventId)],
+        [PdfSplit.round]: (eventId) => genScPdfsForRounds(wcif, optionsObj, eventId),
+        [PdfSplit.group]: (eventId) => genScPdfsForGroups(wcif, optionsObj, eventId),
+    };
+
+    const pdfFiles = wcif.getEventIds().flatMap(splitToFunc[split]);
+
+    const formatBlanksPdf = genFormatBlanksPdf(wcif, optionsObj);
+    if (formatBlanksPdf !== null)
+        pdfFiles.push(formatBlanksPdf);
+
+    return pdfFiles;
 }
 
 /**
@@ -1304,5 +2837,7 @@ export function genScPdfsFromWcif(wcif, optionsObj) {
 export async function genScPdfs(compId, optionsObj) {
     const wcif = await WCIF.fromCompId(compId);
 
-    genScPdfsFromWcif(wcif, optionsObj);
+    for (const pdfFile of genScPdfsFromWcif(wcif, optionsObj)) {
+        pdfFile.doc.save(pdfFile.fileName);
+    }
 }
\ No newline at end of file
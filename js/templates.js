@@ -0,0 +1,202 @@
+/**
+ * @module templates
+ * @description Scorecard templates: which sections a scorecard has, the space between them, and their fonts
+ * @author David Karalli
+ */
+
+import { Option, ScorecardTemplateOption } from './options.js'
+import { templateSectionNames, templateScSectionNames, templateMbfSectionNames, templateFmcSectionNames,
+    templatePersonSectionNames, templateFontSectionNames } from './sc_pdf.js';
+import standardTemplate from './templates/standard.json' with { type: 'json' };
+
+/**
+ * Font of a template section. Only the sections in templateFontSectionNames can have one; fontStyle is ignored by
+ * sections that mix bold and normal text (timeLimit, penaltyExample, cutoff, attemptNum).
+ * Settings left out use the section's own default size and style
+ * @typedef {object} SectionFont
+ * @property {number} [fontSize] - Font size in points (for personName, the largest size; long names are shrunk to fit)
+ * @property {string} [fontStyle] - 'normal' or 'bold'
+ */
+
+/**
+ * One item of a scorecard template: either a section, or empty space
+ * @typedef {object} TemplateItem
+ * @property {string} [section] - Name of the section, e.g. 'personName' (a value of templateSectionNames)
+ * @property {number} [fontSize] - Font size of the section, in points
+ * @property {string} [fontStyle] - Font style of the section, 'normal' or 'bold'
+ * @property {number} [skip] - Height of the empty space, in points
+ */
+
+/**
+ * Layout of the scorecards, from top to bottom. Multiblind scorecards and FMC solution sheets have their own layouts
+ * @typedef {object} ScorecardTemplate
+ * @property {string} name - Name of the template, shown in the options form
+ * @property {TemplateItem[]} competitor - Layout of competitor scorecards
+ * @property {TemplateItem[]} blank - Layout of blank scorecards
+ * @property {TemplateItem[]} mbfCompetitor - Layout of multiblind competitor scorecards
+ * @property {TemplateItem[]} mbfBlank - Layout of blank multiblind scorecards
+ * @property {TemplateItem[]} fmcCompetitor - Layout of FMC competitor solution sheets
+ * @property {TemplateItem[]} fmcBlank - Layout of blank FMC solution sheets
+ */
+
+/**
+ * Templates that come with the scorecard generator, by the value used in the options form
+ * @type {Object<string, ScorecardTemplate>}
+ */
+export const builtInTemplates = {
+    standard: standardTemplate,
+};
+
+/* Value of the options form's template list for the standard template */
+export const defaultTemplateKey = 'standard';
+
+/* Value of the options form's template list for a template uploaded by the user */
+export const uploadedTemplateKey = 'uploaded';
+
+/* Font styles that a template can use */
+const fontStyles = ['normal', 'bold'];
+
+/* Layouts that each template must have */
+const layoutKeys = ['competitor', 'blank'];
+
+/* Layouts that a template can leave out, to use the standard template's */
+const optionalLayoutKeys = ['mbfCompetitor', 'mbfBlank', 'fmcCompetitor', 'fmcBlank'];
+
+/* Layouts for scorecards without a competitor */
+const blankLayoutKeys = ['blank', 'mbfBlank', 'fmcBlank'];
+
+/* Sections that each layout can use */
+const layoutSectionNames = {
+    competitor: templateScSectionNames,
+    blank: templateScSectionNames,
+    mbfCompetitor: templateMbfSectionNames,
+    mbfBlank: templateMbfSectionNames,
+    fmcCompetitor: templateFmcSectionNames,
+    fmcBlank: templateFmcSectionNames,
+};
+
+/**
+ * Error for a template file that can't be used
+ */
+export class TemplateFileError extends Error {
+    /**
+     * @param {string} message - Description of the problem, shown to the user
+     */
+    constructor(message) {
+        super(message);
+        this.name = this.constructor.name;
+    }
+}
+
+/**
+ * Check one item of a template layout
+ *
+ * @param {any} item - Item from the template file
+ * @param {string} where - Where the item is, for error messages, e.g. 'item 3 of "competitor"'
+ * @param {string} layoutKey - Layout that the item is in, e.g. 'competitor'
+ * @returns {TemplateItem}
+ */
+function readTemplateItem(item, where, layoutKey) {
+    if (typeof item !== 'object' || item === null || Array.isArray(item))
+        throw new TemplateFileError(`${where} isn't an object`);
+
+    if ('skip' in item) {
+        if (Object.keys(item).length !== 1)
+            throw new TemplateFileError(`${where} has "skip" with other settings; empty space can't have a section or font`);
+
+        if (typeof item.skip !== 'number' || !Number.isFinite(item.skip) || item.skip < 0)
+            throw new TemplateFileError(`${where} has a "skip" that isn't a number of points, e.g. 7`);
+
+        return { skip: item.skip };
+    }
+
+    if (!templateSectionNames.includes(item.section))
+        throw new TemplateFileError(`${where} has an unknown section "${item.section}". ` +
+            `Sections are: ${templateSectionNames.join(', ')}`);
+
+    const blank = blankLayoutKeys.includes(layoutKey);
+
+    if (blank && templatePersonSectionNames.includes(item.section))
+        throw new TemplateFileError(`${where} has the section "${item.section}", but blank scorecards don't have a competitor`);
+
+    const sectionNames = layoutSectionNames[layoutKey]
+        .filter(x => !blank || !templatePersonSectionNames.includes(x));
+
+    if (!sectionNames.includes(item.section))
+        throw new TemplateFileError(`${where} has the section "${item.section}", which "${layoutKey}" can't use. ` +
+            `Sections for "${layoutKey}" are: ${sectionNames.join(', ')}`);
+
+    const unknownKey = Object.keys(item).find(x => !['section', 'fontSize', 'fontStyle'].includes(x));
+    if (unknownKey !== undefined)
+        throw new TemplateFileError(`${where} has an unknown setting "${unknownKey}"`);
+
+    if (('fontSize' in item || 'fontStyle' in item) && !templateFontSectionNames.includes(item.section))
+        throw new TemplateFileError(`${where} has a font, but "${item.section}" always uses its own font. ` +
+            `Sections with a font are: ${templateFontSectionNames.join(', ')}`);
+
+    if ('fontSize' in item && (typeof item.fontSize !== 'number' || !(item.fontSize > 0)))
+        throw new TemplateFileError(`${where} has a "fontSize" that isn't a positive number of points`);
+
+    if ('fontStyle' in item && !fontStyles.includes(item.fontStyle))
+        throw new TemplateFileError(`${where} has a "fontStyle" that isn't one of: ${fontStyles.join(', ')}`);
+
+    return { ...item };
+}
+
+/**
+ * Read a scorecard template from a JSON file
+ *
+ * The file has a "name", and "competitor" and "blank" lists of items. Each item is a section, e.g.
+ * { "section": "personName", "fontSize": 24 }, or empty space, e.g. { "skip": 7 }. The multiblind and FMC lists
+ * ("mbfCompetitor", "mbfBlank", "fmcCompetitor" and "fmcBlank") can be left out to use the standard ones
+ *
+ * @param {string} text - JSON text
+ * @returns {ScorecardTemplate}
+ */
+export function readTemplateFile(text) {
+    let data;
+
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new TemplateFileError(`The template isn't valid JSON (${err.message})`);
+    }
+
+    if (typeof data !== 'object' || data === null || Array.isArray(data))
+        throw new TemplateFileError('The template must be a JSON object');
+
+    if (typeof data.name !== 'string' || data.name.trim() === '')
+        throw new TemplateFileError('The template needs a "name"');
+
+    const template = { name: data.name.trim() };
+
+    for (const key of [...layoutKeys, ...optionalLayoutKeys]) {
+        if (!(key in data) && optionalLayoutKeys.includes(key)) {
+            template[key] = standardTemplate[key];
+            continue;
+        }
+
+        if (!Array.isArray(data[key]))
+            throw new TemplateFileError(`The template needs a "${key}" list of sections`);
+
+        template[key] = data[key].map((item, i) =>
+            readTemplateItem(item, `Item ${i + 1} of "${key}"`, key));
+    }
+
+    return template;
+}
+
+/**
+ * Get the scorecard template chosen in the options
+ *
+ * @param {Object<string, Option>} optionsObj - Map-like object that maps Option IDs to Option objects
+ * @returns {ScorecardTemplate} The standard template if none was chosen
+ */
+export function getScorecardTemplate(optionsObj) {
+    const option = optionsObj[ScorecardTemplateOption.genId()];
+
+    if (option?.value === uploadedTemplateKey && option.uploadedTemplate !== null)
+        return option.uploadedTemplate;
+
+    return builtInTemplates[option?.value] ?? builtInTemplates[defaultTemplateKey];
+}
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * @module wca_auth
+ * @description Signing in to the WCA with OAuth (implicit grant), for reading private WCIF data
+ * @author David Karalli
+ */
+
+import { wcaOrigin, wcaClientId } from './config.js';
+
+/* sessionStorage keys */
+const tokenKey = 'wcaAccessToken';
+const expiryKey = 'wcaAccessTokenExpiry';
+const stateKey = 'wcaOAuthState';
+
+/**
+ * OAuth scopes needed to read the private WCIF of a competition the user manages
+ * @type {string}
+ */
+const scopes = 'public manage_competitions';
+
+/**
+ * Return true if signing in to the WCA is configured, false otherwise
+ *
+ * @returns {bool}
+ */
+export function signInAvailable() {
+    return wcaClientId !== '';
+}
+
+/**
+ * Get the URL that the WCA redirects back to after signing in, i.e. this page without a hash
+ *
+ * @returns {string}
+ */
+function getRedirectUri() {
+    return `${window.location.origin}${window.location.pathname}`;
+}
+
+/**
+ * Redirect to the WCA sign-in page. The WCA redirects back to this page with an access token in the URL hash
+ */
+export function signIn() {
+    const state = crypto.randomUUID();
+    sessionStorage.setItem(stateKey, state);
+
+    const params = new URLSearchParams({
+        client_id: wcaClientId,
+        redirect_uri: getRedirectUri(),
+        response_type: 'token',
+        scope: scopes,
+        state: state,
+    });
+
+    window.location.assign(`${wcaOrigin}/oauth/authorize?${params}`);
+}
+
+/**
+ * Forget the access token
+ */
+export function signOut() {
+    sessionStorage.removeItem(tokenKey);
+    sessionStorage.removeItem(expiryKey);
+}
+
+/**
+ * If the page was loaded as a redirect from the WCA sign-in page, save the access token from the URL hash
+ *
+ * The hash is removed from the URL so the token doesn't end up in bookmarks or the browser history
+ */
+export function readTokenFromUrl() {
+    const hashParams = new URLSearchParams(window.location.hash.slice(1));
+    const token = hashParams.get('access_token');
+
+    if (token === null)
+        return;
+
+    const expectedState = sessionStorage.getItem(stateKey);
+    sessionStorage.removeItem(stateKey);
+
+    history.replaceState(null, '', getRedirectUri());
+
+    // Ignore tokens from sign-ins that this page didn't start
+    if (expectedState === null || hashParams.get('state') !== expectedState) {
+        console.log('Ignoring WCA access token with an unexpected OAuth state');
+        return;
+    }
+
+    const expiresIn = Number(hashParams.get('expires_in') ?? 0);
+
+    sessionStorage.setItem(tokenKey, token);
+    sessionStorage.setItem(expiryKey, String(Date.now() + (expiresIn * 1000)));
+}
+
+/**
+ * Get the access token, if the user is signed in
+ *
+ * @returns {string | null} Access token, or null if the user isn't signed in or the token has expired
+ */
+export function getAccessToken() {
+    const token = sessionStorage.getItem(tokenKey);
+    const expiry = Number(sessionStorage.getItem(expiryKey));
+
+    if (token === null)
+        return null;
+
+    if (Date.now() >= expiry) {
+        signOut();
+        return null;
+    }
+
+    return token;
+}
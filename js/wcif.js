@@ -4,16 +4,146 @@
  * @author David Karalli
  */
 
+import { wcaOrigin } from './config.js';
+
+/**
+ * Enum for the severity of problems found in WCIF data
+ */
+export const IssueSeverity = Object.freeze({
+    /* Scorecards for the round can't be generated correctly */
+    error   : Symbol('error'),
+    /* Scorecards can be generated, but may be missing information */
+    warning : Symbol('warning'),
+});
+
+/**
+ * A problem found in WCIF data that could affect the scorecards
+ */
+export class WCIFIssue {
+   /** @type {Symbol} */
+   severity;
+   /**
+    * Event ID, or null if the problem isn't specific to an event
+    * @type {string | null}
+    */
+   eventId;
+   /**
+    * Round number, or null if the problem isn't specific to a round
+    * @type {number | null}
+    */
+   round;
+   /**
+    * Human-readable description of the problem
+    * @type {string}
+    */
+   message;
+
+   /**
+    * @param {Symbol} severity - IssueSeverity value
+    * @param {string | null} eventId - Event ID, e.g. '333'
+    * @param {number | null} round - Round number
+    * @param {string} message - Human-readable description of the problem
+    */
+   constructor(severity, eventId, round, message) {
+      this.severity = severity;
+      this.eventId = eventId;
+      this.round = round;
+      this.message = message;
+   }
+}
+
+/**
+ * Estimated number of competitors in a round, and how it was estimated
+ */
+export class RoundSizeEstimate {
+   /** @type {number} */
+   numCompetitors;
+   /**
+    * Human-readable description of how the number was estimated
+    * @type {string}
+    */
+   explanation;
+
+   /**
+    * @param {number} numCompetitors - Estimated number of competitors
+    * @param {string} explanation - Human-readable description of how the number was estimated
+    */
+   constructor(numCompetitors, explanation) {
+      this.numCompetitors = numCompetitors;
+      this.explanation = explanation;
+   }
+}
+
+/**
+ * Display names and result format of an event
+ * @typedef {object} EventInfo
+ * @property {string} name - Event name, e.g. '3x3x3 Cube'
+ * @property {string} shortName - Shortened event name, e.g. '3x3'
+ * @property {string} resultFormat - What results are measured in: 'time', 'number' (moves) or 'multi' (multiblind points)
+ */
+
+/**
+ * A staff duty (e.g. judging) that a person is assigned to
+ * @typedef {object} StaffAssignment
+ * @property {string} assignmentCode - e.g. 'staff-judge'
+ * @property {number | null} round - Round number
+ * @property {number | null} group - Group number, or null if the duty is for a whole round
+ * @property {string} room - Room name
+ */
+
+/**
+ * Parts of an activity code; parts that aren't in the code are null
+ * @typedef {object} ActCodeInfo
+ * @property {string} eventId - Event ID, e.g. '333'
+ * @property {number | null} round - Round number
+ * @property {number | null} group - Group number
+ * @property {number | null} attempt - Attempt number
+ */
+
 export class WCIF {
 	/* Competition ID, e.g. 'WesternChampionship2025' */
 	compId;
 
+   /* True if the data came from the private WCIF endpoint (i.e. the user signed in), false otherwise */
+   isPrivate = false;
+
+   /**
+    * Why the private WCIF couldn't be used, if the user was signed in but the public WCIF was loaded instead
+    * @type {WCIF.LoadError | null}
+    */
+   privateLoadError = null;
+
+   /**
+    * Problems found in the data when it was loaded
+    * @type {WCIFIssue[]}
+    */
+   issues;
+
    /* Private members */
 	/* Data from JSON */
 	#data;
    /* Arrays from the JSON */
    #eventsArr;
    #personsArr;
+   /* Indexes into the JSON, built once so lookups don't scan every person or activity */
+   /** @type {Map<number, {actObj: object, roomObj: object, roundActObj: object, actCodeInfo: ActCodeInfo | null}>} */
+   #actIdToActInfo;
+   /** @type {Map<number, object>} */
+   #registrantIdToPersonObj;
+   /** @type {Map<string, number>} */
+   #wcaIdToRegistrantId;
+   /** @type {Map<string, EventInfo>} */
+   #eventIdToEventInfo;
+   /** @type {Map<number, number[]>} */
+   #actIdToCompetitorIds;
+   /** @type {Map<number, Map<number, number>>} */
+   #actIdToStationNumbers;
+   /* ID for the next activity added with addGroupActs; negative so it can't match an activity in the WCIF */
+   #nextVirtualActId = -1;
+   /** Round IDs (e.g. '333-r1') whose assignments were replaced with setRoundAssignments
+    * @type {Set<string>}
+    */
+   #overriddenRoundIds;
 
 
    /**
@@ -31,8 +161,77 @@ export class WCIF {
 
       this.#eventsArr = this.#data.events;
       this.#personsArr = this.#data.persons;
+
+      this.#buildIndexes();
+      this.#buildEventInfos();
+
+      this.issues = this.#validate();
 	}
 
+   /**
+    * Build the lookup tables for activities, persons and competitor assignments
+    */
+   #buildIndexes() {
+      this.#actIdToActInfo = new Map();
+
+      // Child activities can be nested to any depth; parts missing from a child's code come from its parents
+      const addAct = (actObj, roomObj, roundActObj, parentCodeInfo) => {
+         const ownCodeInfo = WCIF.parseActCode(actObj.activityCode);
+         const actCodeInfo = ownCodeInfo === null || parentCodeInfo === null ? ownCodeInfo : {
+            eventId: ownCodeInfo.eventId,
+            round: ownCodeInfo.round ?? parentCodeInfo.round,
+            group: ownCodeInfo.group ?? parentCodeInfo.group,
+            attempt: ownCodeInfo.attempt ?? parentCodeInfo.attempt,
+         };
+
+         this.#actIdToActInfo.set(actObj.id, { actObj, roomObj, roundActObj, actCodeInfo });
+
+         for (const childObj of actObj.childActivities ?? [])
+            addAct(childObj, roomObj, roundActObj, actCodeInfo);
+      };
+
+      for (const roomObj of this.#getRoomObjs()) {
+         for (const actObj of roomObj.activities ?? [])
+            addAct(actObj, roomObj, actObj, null);
+      }
+
+      this.#overriddenRoundIds = new Set();
+      this.#registrantIdToPersonObj = new Map();
+      this.#wcaIdToRegistrantId = new Map();
+      this.#actIdToCompetitorIds = new Map();
+      this.#actIdToStationNumbers = new Map();
+
+      for (const personObj of this.#personsArr) {
+         const registrantId = personObj.registrantId;
+
+         this.#registrantIdToPersonObj.set(registrantId, personObj);
+
+         if ((personObj.wcaId ?? null) !== null)
+            this.#wcaIdToRegistrantId.set(personObj.wcaId, registrantId);
+
+         for (const assignment of personObj.assignments ?? []) {
+            if (assignment.assignmentCode !== 'competitor')
+               continue;
+
+            if (!this.#actIdToCompetitorIds.has(assignment.activityId))
+               this.#actIdToCompetitorIds.set(assignment.activityId, []);
+
+            const competitorIds = this.#actIdToCompetitorIds.get(assignment.activityId);
+
+            // A person listed twice for the same activity still gets one scorecard
+            if (competitorIds.at(-1) !== registrantId)
+               competitorIds.push(registrantId);
+
+            if ((assignment.stationNumber ?? null) !== null) {
+               if (!this.#actIdToStationNumbers.has(assignment.activityId))
+                  this.#actIdToStationNumbers.set(assignment.activityId, new Map());
+
+               this.#actIdToStationNumbers.get(assignment.activityId).set(registrantId, assignment.stationNumber);
+            }
+         }
+      }
+   }
+
    /**
     * Get the name of the competition (e.g. 'Western Championship 2026')
     *
@@ -43,16 +242,22 @@ export class WCIF {
    }
 
    /**
-    * Get a list of events for the competition
+    * Get the country of the competition's first venue
     *
-    * Excludes 3x3x3 Fewest Moves since this software doesn't support it
+    * @returns {string | null} ISO 3166-1 alpha-2 code, e.g. 'US'; null if the schedule has no venues
+    */
+   getCountryIso2() {
+      return this.#data.schedule.venues[0]?.countryIso2 ?? null;
+   }
+
+   /**
+    * Get a list of events for the competition
     *
     * @returns {string[]}
     */
    getEventIds() {
       return this.#eventsArr
-         .map(x => x.id)
-         .filter(x => x !== '333fm');
+         .map(x => x.id);
    }
 
     /**
@@ -77,6 +282,9 @@ export class WCIF {
         '444bf': '4x4x4 Blindfolded',
         '555bf': '5x5x5 Blindfolded',
         '333mbf': '3x3x3 Multi-Blind',
+        '333ft': '3x3x3 With Feet',
+        'magic': 'Magic',
+        'mmagic': 'Master Magic',
     };
 
     /**
@@ -101,8 +309,132 @@ export class WCIF {
         '444bf': '4x4 Blind',
         '555bf': '5x5 Blind',
         '333mbf': 'Multi-Blind',
+        '333ft': '3x3 Feet',
+        'magic': 'Magic',
+        'mmagic': 'Master Magic',
+    };
+
+    /**
+     * Map-like object that converts event IDs (like '333fm') to result formats (like 'number'), for events whose results aren't times
+     * @type {Object.<string, string>}
+     */
+    static #eventIdToResultFormat = {
+        '333fm': 'number',
+        '333mbf': 'multi',
     };
 
+   /**
+    * ID of the WCIF extension that gives an event's names and result format, for unofficial and custom events
+    *
+    * Extension data: { "name": "Team Blind", "shortName": "Team BLD", "resultFormat": "time" }. Every field is optional
+    *
+    * @type {string}
+    */
+   static eventInfoExtensionId = 'scorecardinator.EventInfo';
+
+   /**
+    * Build the names and result formats of the competition's events from the built-in tables and the WCIF extensions
+    */
+   #buildEventInfos() {
+      this.#eventIdToEventInfo = new Map();
+
+      for (const eventObj of this.#eventsArr) {
+         const eventId = eventObj.id;
+         const extension = (eventObj.extensions ?? [])
+            .find(x => x.id === WCIF.eventInfoExtensionId);
+         const extensionData = extension?.data ?? {};
+         const defaultInfo = WCIF.#getDefaultEventInfo(eventId);
+
+         this.#eventIdToEventInfo.set(eventId, {
+            name: extensionData.name ?? defaultInfo.name,
+            shortName: extensionData.shortName ?? extensionData.name ?? defaultInfo.shortName,
+            resultFormat: extensionData.resultFormat ?? defaultInfo.resultFormat,
+         });
+      }
+   }
+
+   /**
+    * Get the names and result format of an event from the built-in tables. Unknown events are named by their ID
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {EventInfo}
+    */
+   static #getDefaultEventInfo(eventId) {
+      return {
+         name: WCIF.eventIdToName[eventId] ?? eventId,
+         shortName: WCIF.eventIdToShortName[eventId] ?? eventId,
+         resultFormat: WCIF.#eventIdToResultFormat[eventId] ?? 'time',
+      };
+   }
+
+   /**
+    * Get the names and result format of an event
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {EventInfo}
+    */
+   #getEventInfo(eventId) {
+      return this.#eventIdToEventInfo.get(eventId) ?? WCIF.#getDefaultEventInfo(eventId);
+   }
+
+   /**
+    * Get the name of an event (e.g. '3x3x3 Cube'), including unofficial and custom events
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {string}
+    */
+   getEventName(eventId) {
+      return this.#getEventInfo(eventId).name;
+   }
+
+   /**
+    * Get the shortened name of an event (e.g. '3x3'), including unofficial and custom events
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {string}
+    */
+   getEventShortName(eventId) {
+      return this.#getEventInfo(eventId).shortName;
+   }
+
+   /**
+    * Get what an event's results are measured in
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {string} 'time', 'number' (moves) or 'multi' (multiblind points)
+    */
+   getEventResultFormat(eventId) {
+      return this.#getEventInfo(eventId).resultFormat;
+   }
+
+    /**
+     * Map-like object that converts formats (like 'a') to the number of attempts (like 5)
+     * @type {Object.<string, number>}
+     */
+    static formatToAttempts = {
+        'a': 5,
+        'm': 3,
+        '1': 1,
+        '2': 2,
+        '3': 3,
+        '5': 5,
+    };
+
+   /**
+    * Event IDs whose schedule activities are split by attempt (e.g. '333fm-r1-a1') rather than by round
+    * @type {string[]}
+    */
+   static #attemptActEventIds = ['333fm', '333mbf'];
+
+   /**
+    * Return true if the event's schedule activities are split by attempt (e.g. '333mbf-r1-a1'), false otherwise
+    *
+    * @param {string} eventId - Event ID, e.g. '333mbf'
+    * @returns {bool}
+    */
+   static hasAttemptActs(eventId) {
+      return WCIF.#attemptActEventIds.includes(eventId);
+   }
 
    /**
     * Get the JSON object for the given event
@@ -120,12 +452,12 @@ export class WCIF {
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number
     *
-    * @returns {object}
+    * @returns {object | undefined} undefined if no round has the ID, e.g. '333-r2'
     */
    #getRoundObj(eventId, round) {
       const eventObj = this.#getEventObj(eventId);
 
-      return eventObj.rounds.find(x => x.id === `${eventId}-r${round}`);
+      return (eventObj.rounds ?? []).find(x => x.id === `${eventId}-r${round}`);
    }
 
    /**
@@ -149,19 +481,25 @@ export class WCIF {
    }
 
    /**
-    * Get the activity code from the event ID and round number
+    * Split an activity code into its parts
     *
-    * MULTIBLIND: provide the activity code for the first attempt, as this is all that's needed to determine who's competing in the round
-    *
-    * @param {string} eventId - Event ID, e.g. '333'
-    * @param {number} round - Round number, e.g. 1
-    * @return {string} Activity code, e.g. '333-r1' or '333mbf-r1-a1'
+    * @param {string} actCode - Activity code, e.g. '333-r1-g2' or '333mbf-r1-a2'
+    * @returns {ActCodeInfo | null} null if the activity isn't for an event (e.g. 'other-lunch')
     */
-   #getActCode(eventId, round) {
-      if (eventId === '333mbf')
-         return `${eventId}-r${round}-a1`;
+   static parseActCode(actCode) {
+      const match = /^([^-]+)(?:-r(\d+))?(?:-g(\d+))?(?:-a(\d+))?$/.exec(actCode);
+
+      if (match === null || match[1] === 'other')
+         return null;
+
+      const toNum = x => x === undefined ? null : Number(x);
 
-      return `${eventId}-r${round}`;
+      return {
+         eventId: match[1],
+         round: toNum(match[2]),
+         group: toNum(match[3]),
+         attempt: toNum(match[4]),
+      };
    }
 
    /**
@@ -172,8 +510,15 @@ export class WCIF {
     */
    getNumRounds(eventId) {
       const eventObj = this.#getEventObj(eventId);
+      const numRoundObjs = (eventObj.rounds ?? []).length;
 
-      return eventObj.rounds.length;
+      // Stop at the first round whose ID can't be found (e.g. the second round has the ID '333-r7'), since each
+      // round depends on the ones before it. The validation reports the bad ID
+      let numRounds = 0;
+      while (numRounds < numRoundObjs && this.#getRoundObj(eventId, numRounds + 1) !== undefined)
+         numRounds++;
+
+      return numRounds;
    }
 
    /**
@@ -207,42 +552,81 @@ export class WCIF {
    }
 
    /**
-    * Get the top-level activity objects for each room (i.e., all activities that aren't children of activities)
+    * Get the attempt numbers of a round that have their own activity in the schedule
+    *
+    * If the schedule doesn't list any attempt activities, every attempt allowed by the round's format is returned
     *
-    * @returns {object[]}
+    * @param {string} eventId - Event ID, e.g. '333fm'
+    * @param {number} round - Round number, e.g. 1
+    * @returns {number[]} e.g. [1, 2, 3] for a Mean of 3 FMC round
     */
-   #getTopLevelActObjs() {
-      const roomObjs = this.#getRoomObjs();
+   getAttemptNums(eventId, round) {
+      const attemptNums = [...this.#actIdToActInfo.values()]
+         .map(x => x.actCodeInfo)
+         .filter(x => x !== null && x.eventId === eventId && x.round === round && x.attempt !== null)
+         .map(x => x.attempt);
+
+      if (attemptNums.length === 0) {
+         const numAttempts = this.getNumAttempts(eventId, round);
 
-      return roomObjs.flatMap(x => x.activities);
+         return Array.from({ length: numAttempts }, (_, i) => i + 1);
+      }
+
+      return [...new Set(attemptNums)]
+         .sort((a, b) => a - b);
    }
 
    /**
-    * Get the activity IDs for each group of a round of an event
+    * Get the IDs of every activity of a round at any depth of the schedule, split into groups (with a '-gN' code) and other activities
     *
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number, e.g. 1
-    * @returns {number[]}
+    * @param {number | null} attempt - Attempt number, or null for activities of every attempt
+    * @returns {{groupActIds: number[], otherActIds: number[]}}
     */
-   getGroupActIds(eventId, round) {
-      const roundId = this.#getActCode(eventId, round);
-      const actObjs = this.#getTopLevelActObjs();
+   #getRoundActIds(eventId, round, attempt = null) {
+      const groupActIds = [];
+      const otherActIds = [];
+
+      for (const [actId, { actCodeInfo }] of this.#actIdToActInfo) {
+         if (actCodeInfo === null || actCodeInfo.eventId !== eventId || actCodeInfo.round !== round)
+            continue;
+
+         // Activities without an attempt in their code are for every attempt
+         if (attempt !== null && actCodeInfo.attempt !== null && actCodeInfo.attempt !== attempt)
+            continue;
+
+         if (actCodeInfo.group === null)
+            otherActIds.push(actId);
+         else
+            groupActIds.push(actId);
+      }
 
-      return actObjs
-         .filter(x => x.activityCode === roundId)
-         .flatMap(x => x.childActivities)
-         .map(x => x.id);
+      return { groupActIds, otherActIds };
    }
 
    /**
-    * Get all of the activity objects corresponding to a group of a round.
+    * Get the activity IDs for each group of a round of an event
+    *
+    * Groups are found at any depth of the schedule by their '-gN' activity code.
+    * If competitors are assigned straight to the round's activities instead of to groups, those activities are returned
     *
-    * @returns {object[]}
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number, e.g. 1
+    * @param {number} attempt - Attempt number; only used for events with an activity per attempt (e.g. FMC)
+    * @returns {number[]}
     */
-   #getGroupActObjs() {
-      const actObjs = this.#getTopLevelActObjs();
+   getGroupActIds(eventId, round, attempt = 1) {
+      const { groupActIds, otherActIds } = this.#getRoundActIds(
+         eventId, round, WCIF.hasAttemptActs(eventId) ? attempt : null);
+
+      const hasCompetitors = actId => this.#actIdToCompetitorIds.has(actId);
+      const directActIds = otherActIds.filter(hasCompetitors);
 
-      return actObjs.flatMap(x => x.childActivities);
+      if (groupActIds.some(hasCompetitors) || directActIds.length === 0)
+         return groupActIds;
+
+      return directActIds;
    }
 
    /**
@@ -252,31 +636,64 @@ export class WCIF {
     * @returns {number[]}
     */
    getCompetitorsFromActId(actId) {
-      function competingInAct(personObj) {
-         return personObj.assignments.some(x => x.activityId === actId && x.assignmentCode === 'competitor');
-      }
+      const competitorIds = this.#actIdToCompetitorIds.get(actId) ?? [];
 
-      return this.#personsArr
-         .filter(competingInAct)
-         .map(x => x.registrantId);
+      return [...competitorIds];
+   }
+
+   /**
+    * Get the station number a competitor is assigned to in a group
+    *
+    * @param {number} actId - Activity ID of the group
+    * @param {number} registrantId - Registrant ID of the competitor
+    * @returns {number | null} null if the competitor doesn't have a station
+    */
+   getStationNumber(actId, registrantId) {
+      return this.#actIdToStationNumbers.get(actId)?.get(registrantId) ?? null;
+   }
+
+   /**
+    * Get a person's staff duties (e.g. judging) for an event, in schedule order
+    *
+    * @param {number} registrantId - Registrant ID of the person
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {StaffAssignment[]}
+    */
+   getStaffAssignments(registrantId, eventId) {
+      const personObj = this.#getPersonObj(registrantId);
+
+      return (personObj.assignments ?? [])
+         .filter(x => x.assignmentCode.startsWith('staff-'))
+         .map(x => ({ assignment: x, actInfo: this.#actIdToActInfo.get(x.activityId) }))
+         .filter(({ actInfo }) => actInfo?.actCodeInfo?.eventId === eventId)
+         .sort((a, b) => (a.actInfo.actObj.startTime ?? '').localeCompare(b.actInfo.actObj.startTime ?? ''))
+         .map(({ assignment, actInfo }) => ({
+            assignmentCode: assignment.assignmentCode,
+            round: actInfo.actCodeInfo.round,
+            group: actInfo.actCodeInfo.group,
+            room: actInfo.roomObj.name,
+         }));
+   }
+
+   /**
+    * Return true if any competitor is assigned to a station, false otherwise
+    *
+    * @returns {bool}
+    */
+   hasStationNumbers() {
+      return this.#actIdToStationNumbers.size > 0;
    }
 
    /**
     * Get the number of the group corresponding to the given activity ID
     *
     * @param {number} actId
-    * @returns {number}
+    * @returns {number | null} null if the activity is for a whole round rather than a group
     */
    getGroupNum(actId) {
-      const actCode = this.#getGroupActObjs()
-         .find(x => x.id === actId)
-         .activityCode;
-
-      /* remove attempt info from multiblind activity codes */
-      const actCodeNoAttempt = actCode.split('-a')[0];
-      const groupString = actCodeNoAttempt.split('-g')[1];
-
-      return Number(groupString);
+      return this.#actIdToActInfo.get(actId)
+         .actCodeInfo
+         .group;
    }
 
    /**
@@ -286,15 +703,314 @@ export class WCIF {
     * @returns {string}
     */
    getGroupRoom(actId) {
-      function roomHasActId(roomObj) {
-         return roomObj.activities
-            .flatMap(x => x.childActivities)
-            .some(x => x.id === actId);
+      return this.#actIdToActInfo.get(actId)
+         .roomObj
+         .name;
+   }
+
+   /**
+    * Get the activity code of the activity with the given activity ID
+    *
+    * @param {number} actId
+    * @returns {string} e.g. '333-r1-g2'
+    */
+   getActCode(actId) {
+      return this.#actIdToActInfo.get(actId)
+         .actObj
+         .activityCode;
+   }
+
+   /**
+    * Get the names of the rooms that have an activity for a round in the schedule
+    *
+    * For events with an activity per attempt (e.g. FMC), only the first attempt's rooms are included
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {string[]} Room names, in the same order as getRoomNames
+    */
+   getRoundRoomNames(eventId, round) {
+      const attempt = WCIF.hasAttemptActs(eventId) ? this.getAttemptNums(eventId, round)[0] : null;
+      const { groupActIds, otherActIds } = this.#getRoundActIds(eventId, round, attempt);
+      const roomNames = new Set([...groupActIds, ...otherActIds]
+         .filter(x => x > 0)
+         .map(x => this.getGroupRoom(x)));
+
+      return this.getRoomNames().filter(x => roomNames.has(x));
+   }
+
+   /* Assignment overrides */
+   /**
+    * Get the round (or attempt) activity that a group added with addGroupActs goes under
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @param {number | null} attempt - Attempt number, for events with an activity per attempt (e.g. FMC)
+    * @param {string | null} roomName - Room of the group, or null for any room
+    * @returns {{actObj: object, roomObj: object, roundActObj: object, actCodeInfo: ActCodeInfo} | null}
+    *   null if the round has no activity (in the room)
+    */
+   #findGroupParentInfo(eventId, round, attempt, roomName) {
+      return this.#getRoundActIds(eventId, round).otherActIds
+         .map(x => this.#actIdToActInfo.get(x))
+         .find(x => (attempt === null || x.actCodeInfo.attempt === attempt) &&
+                    (roomName === null || x.roomObj.name === roomName)) ?? null;
+   }
+
+   /**
+    * Add groups to a round that aren't in the schedule, e.g. when the user picks how many groups a round has
+    *
+    * Groups go in the room of the round's activity. Events with an activity per attempt (e.g. FMC) get the groups in every attempt
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @param {number} numGroups - Number of groups to add
+    * @param {string | null} roomName - Room to add the groups to; null for the room of the round's first activity
+    * @param {number} firstGroup - Group number of the first group to add, e.g. to add to the schedule's groups
+    * @returns {number[]} Activity ID of each group (of the first attempt, for events with an activity per attempt)
+    * @throws {Error} If there's no room to put the groups in, e.g. the schedule has no rooms
+    */
+   addGroupActs(eventId, round, numGroups, roomName = null, firstGroup = 1) {
+      const attempts = WCIF.hasAttemptActs(eventId) ? this.getAttemptNums(eventId, round) : [null];
+      const fallbackRoomObj = this.#getRoomObjs().find(x => roomName === null || x.name === roomName);
+
+      if (fallbackRoomObj === undefined) {
+         throw new Error(`Can't add groups to ${eventId} round ${round}: ` +
+            (roomName === null ? 'the schedule has no rooms' : `the schedule has no room "${roomName}"`));
       }
 
-      return this.#getRoomObjs()
-         .find(roomHasActId)
-         .name;
+      const groupActIds = [];
+
+      for (let group = firstGroup; group < firstGroup + numGroups; group++) {
+         for (const attempt of attempts) {
+            const attemptCode = attempt === null ? '' : `-a${attempt}`;
+            const actCode = `${eventId}-r${round}-g${group}${attemptCode}`;
+            // An attempt held in another room gets its groups there
+            const parentInfo = this.#findGroupParentInfo(eventId, round, attempt, roomName) ??
+                               this.#findGroupParentInfo(eventId, round, attempt, null);
+
+            const actObj = {
+               id: this.#nextVirtualActId--,
+               name: actCode,
+               activityCode: actCode,
+               childActivities: [],
+            };
+
+            this.#actIdToActInfo.set(actObj.id, {
+               actObj,
+               roomObj: parentInfo?.roomObj ?? fallbackRoomObj,
+               roundActObj: parentInfo?.roundActObj ?? actObj,
+               actCodeInfo: WCIF.parseActCode(actCode),
+            });
+
+            if (attempt === null || attempt === attempts[0])
+               groupActIds.push(actObj.id);
+         }
+      }
+
+      return groupActIds;
+   }
+
+   /**
+    * Get the activity IDs of a group in every attempt, for events with an activity per attempt (e.g. FMC)
+    *
+    * @param {number} actId - Activity ID of the group in any attempt
+    * @returns {number[]} Just actId for other events
+    */
+   #getActIdsForAllAttempts(actId) {
+      const { roomObj, actCodeInfo } = this.#actIdToActInfo.get(actId);
+
+      if (!WCIF.hasAttemptActs(actCodeInfo.eventId) || actCodeInfo.group === null)
+         return [actId];
+
+      // Groups added by addGroupActs have negative IDs, and don't share attempts with groups in the WCIF
+      const sameGroupInfos = this.#getRoundActIds(actCodeInfo.eventId, actCodeInfo.round).groupActIds
+         .filter(x => (x < 0) === (actId < 0))
+         .map(x => this.#actIdToActInfo.get(x))
+         .filter(x => x.actCodeInfo.group === actCodeInfo.group);
+
+      // Each attempt's group in the same room, or the attempt's only group with the number if the attempt is in another room
+      return this.getAttemptNums(actCodeInfo.eventId, actCodeInfo.round).flatMap(attempt => {
+         const attemptInfos = sameGroupInfos.filter(x => x.actCodeInfo.attempt === attempt);
+         const sameRoomInfos = attemptInfos.filter(x => x.roomObj === roomObj);
+
+         if (sameRoomInfos.length !== 0)
+            return sameRoomInfos.map(x => x.actObj.id);
+
+         return attemptInfos.length === 1 ? [attemptInfos[0].actObj.id] : [];
+      });
+   }
+
+   /**
+    * Replace the competitor assignments of a round, e.g. with groups made from the previous round's results
+    *
+    * For events with an activity per attempt (e.g. FMC), competitors get the same group in every attempt
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @param {{registrantId: number, actId: number, stationNumber: (number | null | undefined)}[]} assignments
+    *   New assignments; actId is the activity ID of a group of the round
+    */
+   setRoundAssignments(eventId, round, assignments) {
+      const { groupActIds, otherActIds } = this.#getRoundActIds(eventId, round);
+
+      this.#overriddenRoundIds.add(`${eventId}-r${round}`);
+
+      for (const actId of [...groupActIds, ...otherActIds]) {
+         this.#actIdToCompetitorIds.delete(actId);
+         this.#actIdToStationNumbers.delete(actId);
+      }
+
+      for (const { registrantId, actId, stationNumber } of assignments) {
+         for (const targetActId of this.#getActIdsForAllAttempts(actId)) {
+            if (!this.#actIdToCompetitorIds.has(targetActId))
+               this.#actIdToCompetitorIds.set(targetActId, []);
+
+            this.#actIdToCompetitorIds.get(targetActId).push(registrantId);
+
+            if ((stationNumber ?? null) !== null) {
+               if (!this.#actIdToStationNumbers.has(targetActId))
+                  this.#actIdToStationNumbers.set(targetActId, new Map());
+
+               this.#actIdToStationNumbers.get(targetActId).set(registrantId, stationNumber);
+            }
+         }
+      }
+   }
+
+   /**
+    * Undo every setRoundAssignments and addGroupActs call, going back to the assignments and schedule in the WCIF
+    */
+   clearAssignmentOverrides() {
+      this.#buildIndexes();
+   }
+
+   /**
+    * Return true if any round's assignments were replaced with setRoundAssignments, false otherwise
+    *
+    * @returns {bool}
+    */
+   hasAssignmentOverrides() {
+      return this.#overriddenRoundIds.size !== 0;
+   }
+
+   /**
+    * Get a partial WCIF with the assignments made with setRoundAssignments, for uploading to the WCA website
+    * (PATCH /api/v0/competitions/{id}/wcif) or importing into another tool
+    *
+    * Groups added with addGroupActs get new activity IDs, and are added to the schedule under their round's activity.
+    * Only persons whose assignments changed are included, with all of their assignments
+    *
+    * @returns {{id: string, schedule: object, persons: object[]}}
+    */
+   getAssignmentsPatch() {
+      const actIds = [...this.#actIdToActInfo.keys()];
+      let nextActId = Math.max(0, ...actIds) + 1;
+
+      // Virtual activity IDs are -1, -2, ..., in the order the groups were added
+      const actIdToPatchId = new Map(actIds.map(x => [x, x]));
+      for (const actId of actIds.filter(x => x < 0).sort((a, b) => b - a))
+         actIdToPatchId.set(actId, nextActId++);
+
+      const schedule = structuredClone(this.#data.schedule);
+      const patchActObjs = new Map();
+      const patchRoomObjs = new Map();
+
+      const indexAct = actObj => {
+         patchActObjs.set(actObj.id, actObj);
+         (actObj.childActivities ?? []).forEach(indexAct);
+      };
+
+      for (const roomObj of schedule.venues.flatMap(x => x.rooms)) {
+         patchRoomObjs.set(roomObj.id, roomObj);
+         (roomObj.activities ?? []).forEach(indexAct);
+      }
+
+      for (const actId of actIds.filter(x => x < 0).sort((a, b) => b - a)) {
+         const { roomObj, actCodeInfo } = this.#actIdToActInfo.get(actId);
+         const { eventId, round, group, attempt } = actCodeInfo;
+         const parentInfo = this.#findGroupParentInfo(eventId, round, attempt, roomObj.name);
+         const parentObj = parentInfo === null ? null : patchActObjs.get(parentInfo.actObj.id);
+
+         const attemptName = attempt === null ? '' : `, Attempt ${attempt}`;
+         const actObj = {
+            id: actIdToPatchId.get(actId),
+            name: `${this.getEventName(eventId)}, Round ${round}, Group ${group}${attemptName}`,
+            activityCode: this.#actIdToActInfo.get(actId).actObj.activityCode,
+            startTime: parentObj?.startTime ?? null,
+            endTime: parentObj?.endTime ?? null,
+            childActivities: [],
+            extensions: [],
+         };
+
+         // Groups of rounds without an activity in the room are added to the room without times
+         if (parentObj === null)
+            patchRoomObjs.get(roomObj.id).activities.push(actObj);
+         else
+            parentObj.childActivities.push(actObj);
+      }
+
+      // Competitor assignments of the overridden rounds, from the index
+      const overriddenActIds = new Set();
+      const registrantIdToAssignments = new Map();
+
+      for (const roundId of this.#overriddenRoundIds) {
+         const eventId = WCIF.getEventIdFromRoundId(roundId);
+         const round = WCIF.getRoundFromRoundId(roundId);
+         const { groupActIds, otherActIds } = this.#getRoundActIds(eventId, round);
+
+         for (const actId of [...groupActIds, ...otherActIds]) {
+            overriddenActIds.add(actId);
+
+            for (const registrantId of this.getCompetitorsFromActId(actId)) {
+               if (!registrantIdToAssignments.has(registrantId))
+                  registrantIdToAssignments.set(registrantId, []);
+
+               registrantIdToAssignments.get(registrantId).push({
+                  activityId: actIdToPatchId.get(actId),
+                  assignmentCode: 'competitor',
+                  stationNumber: this.getStationNumber(actId, registrantId),
+               });
+            }
+         }
+      }
+
+      const persons = [];
+
+      for (const personObj of this.#personsArr) {
+         const oldAssignments = personObj.assignments ?? [];
+         const assignments = [
+            ...oldAssignments.filter(x => x.assignmentCode !== 'competitor' || !overriddenActIds.has(x.activityId)),
+            ...(registrantIdToAssignments.get(personObj.registrantId) ?? []),
+         ];
+
+         if (JSON.stringify(assignments) !== JSON.stringify(oldAssignments))
+            persons.push({ registrantId: personObj.registrantId, wcaUserId: personObj.wcaUserId, assignments });
+      }
+
+      return { id: this.compId, schedule, persons };
+   }
+
+   /**
+    * Get the advancement condition of a round, e.g. { type: 'percent', level: 75 }
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {object | null} null for final rounds and rounds without a condition
+    */
+   getAdvancementCondition(eventId, round) {
+      return this.#getRoundObj(eventId, round).advancementCondition ?? null;
+   }
+
+   /**
+    * Get the results of a round from the WCIF, e.g. for a round that's already finished
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {object[]} Result objects from the WCIF JSON; empty if the round has no results
+    */
+   getRoundResults(eventId, round) {
+      return this.#getRoundObj(eventId, round).results ?? [];
    }
 
    /**
@@ -309,22 +1025,43 @@ export class WCIF {
             .format;
    }
 
+   /**
+    * Get the type of result a round is ranked by
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {string} 'average' for Average of 5 and Mean of 3 rounds, 'single' otherwise
+    */
+   getRankingResultType(eventId, round) {
+      return ['a', 'm'].includes(this.getFormat(eventId, round)) ? 'average' : 'single';
+   }
+
+   /**
+    * Get the number of attempts for the given round, based on its format
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {number}
+    */
+   getNumAttempts(eventId, round) {
+      const format = this.getFormat(eventId, round);
+
+      return WCIF.formatToAttempts[format];
+   }
+
    /**
     * Get the cutoff in centiseconds for the given round
     *
-    * MULTIBLIND: always returns null, because cutoffs for multiblind should be banned and I don't want to support them
+    * MULTIBLIND: returns the cutoff as an encoded multiblind result; see multiblindAttemptResultToPoints
     *
-    * FMC: unsupported because this scorecard software does not support FMC
+    * FMC: returns the cutoff as a number of moves instead of centiseconds
     *
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number
-    * @returns {number | null} Cutoff in centiseconds if one exists, null otherwise
+    * @returns {number | null} Cutoff in centiseconds (moves for FMC) if one exists, null otherwise
     */
    getCutoffCentisec(eventId, round) {
-      if (eventId === '333mbf')
-         return null;
-
-      const cutoffObj = this.#getRoundObj(eventId, round).cutoff;
+      const cutoffObj = this.#getRoundObj(eventId, round).cutoff ?? null;
 
       return cutoffObj === null ? null : cutoffObj.attemptResult;
    }
@@ -332,42 +1069,54 @@ export class WCIF {
    /**
     * Get the number of attempts for the cutoff for the given round
     *
-    * MULTIBLIND: always returns null, because cutoffs for multiblind should be banned and I don't want to support them
+    * MULTIBLIND: supported
     *
-    * FMC: unsupported because this scorecard software does not support FMC
+    * FMC: supported
     *
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number
     * @returns {number | null} Number of attempts for the cutoff if one exists, null otherwise
     */
    getCutoffAttempts(eventId, round) {
-      if (eventId === '333mbf')
-         return null;
-
-      const cutoffObj = this.#getRoundObj(eventId, round).cutoff;
+      const cutoffObj = this.#getRoundObj(eventId, round).cutoff ?? null;
 
       return cutoffObj === null ? null : cutoffObj.numberOfAttempts;
    }
 
+   /**
+    * Get the number of points of an encoded multiblind result
+    *
+    * Multiblind results are encoded as 0DDTTTTTMM, where DD is 99 minus the number of points,
+    * TTTTT is the time in seconds, and MM is the number of missed cubes
+    *
+    * @param {number} attemptResult - Encoded multiblind result, e.g. 970360001
+    * @returns {number} Number of points, e.g. 2
+    */
+   static multiblindAttemptResultToPoints(attemptResult) {
+      const dd = Math.floor(attemptResult / 1e7) % 100;
+
+      return 99 - dd;
+   }
+
    /**
     * Get the time limit in centiseconds for the given round
     *
     * MULTIBLIND: supported; will always return null
     *
-    * FMC: unsupported because this scorecard software does not support FMC
+    * FMC: supported; will always return null
     *
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number
-    * @returns {number | null} Time limit in centiseconds; null for multiblind
+    * @returns {number | null} Time limit in centiseconds; null for multiblind and FMC, and if the time limit is missing
     */
    getTimeLimit(eventId, round) {
       const roundObj = this.#getRoundObj(eventId, round);
 
-      /* deal with multiblind */
-      if (roundObj.timeLimit === null)
+      /* deal with multiblind and FMC */
+      if ((roundObj.timeLimit ?? null) === null)
          return null;
 
-      return roundObj.timeLimit.centiseconds;
+      return roundObj.timeLimit.centiseconds ?? null;
    }
 
    /**
@@ -378,62 +1127,149 @@ export class WCIF {
     * @returns {bool}
     */
    groupsAreAssigned(eventId, round) {
-      // TODO: make this a function since it's used multiple times
-      const numAssigned = this
-            .getGroupActIds(eventId, round)
-            .flatMap(actId => this.getCompetitorsFromActId(actId))
-            .length;
+      return this.#getAssignedCompetitorIds(eventId, round).length > 0;
+   }
 
-      return numAssigned > 0;
+   /**
+    * Get the registrant IDs of everyone assigned to compete in a round
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {number[]}
+    */
+   #getAssignedCompetitorIds(eventId, round) {
+      return this
+         .getGroupActIds(eventId, round)
+         .flatMap(actId => this.getCompetitorsFromActId(actId));
    }
 
+   /**
+    * Most of a round's competitors that can advance to the next round (regulation 9p1)
+    * @type {number}
+    */
+   static #maxAdvancingFraction = 0.75;
+
    /**
     * Get the number of people advancing to a round, assuming no no-shows
     *
-    * For first-round events, just return the number of people assigned to a group
-    *
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number
     * @returns {number} Number of people advancing to the round, assuming no no-shows
     */
    getNumAdvancingToRound(eventId, round) {
-      const pctAdvancingStack = [];
-      let baseNum;
-      let i;
-
-      for (i = round; i >= 1; i--) {
-         if (i === 1 || this.groupsAreAssigned(eventId, i)) {
-            baseNum = this
-               .getGroupActIds(eventId, i)
-               .flatMap(actId => this.getCompetitorsFromActId(actId))
-               .length;
-            break;
-         }
+      return this.getRoundSizeEstimate(eventId, round).numCompetitors;
+   }
 
-         const advanceObj = this
-            .#getRoundObj(eventId, i - 1)
-            .advancementCondition;
+   /**
+    * Estimate the number of people in a round, assuming no no-shows
+    *
+    * Rounds with groups use the number of people assigned to a group, and first rounds without groups use the number of people registered for the event.
+    * Later rounds are estimated from the size of the previous round and its advancement condition
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @returns {RoundSizeEstimate}
+    */
+   getRoundSizeEstimate(eventId, round) {
+      if (this.groupsAreAssigned(eventId, round)) {
+         const numAssigned = this.#getAssignedCompetitorIds(eventId, round).length;
 
-         // TODO: throw error if no advancement conditions exist
+         return new RoundSizeEstimate(numAssigned, 'Competitors assigned to groups');
+      }
 
-         if (advanceObj.type === 'ranking') {
-            baseNum = advanceObj.level;
-            break;
-         }
+      if (round === 1) {
+         const numRegistered = this.getRegisteredCompetitorIds(eventId).length;
 
-         // Advancement type is percent
-         pctAdvancingStack.push(advanceObj.level);
+         return new RoundSizeEstimate(numRegistered, 'Competitors registered for the event (groups aren\'t assigned yet)');
       }
 
-      let numAdvancing = baseNum;
-      let pct;
+      const prevRound = round - 1;
+      const prevNum = this.getRoundSizeEstimate(eventId, prevRound).numCompetitors;
+      const maxAdvancing = Math.floor(prevNum * WCIF.#maxAdvancingFraction);
+      const advanceObj = this.#getRoundObj(eventId, prevRound).advancementCondition ?? null;
+
+      switch (advanceObj?.type) {
+         case 'ranking':
+            return new RoundSizeEstimate(advanceObj.level,
+               `Top ${advanceObj.level} of round ${prevRound}`);
+
+         case 'percent':
+            return new RoundSizeEstimate(Math.floor(prevNum * (advanceObj.level / 100)),
+               `Top ${advanceObj.level}% of ${prevNum} in round ${prevRound}`);
+
+         case 'attemptResult':
+            return this.#getAttemptResultEstimate(eventId, prevRound, prevNum, advanceObj.level);
 
-      while (pctAdvancingStack.length !== 0) {
-         pct = pctAdvancingStack.pop();
-         numAdvancing = Math.floor(numAdvancing * (pct / 100));
+         default:
+            // No condition to go by, so assume as many people as are allowed to advance
+            return new RoundSizeEstimate(maxAdvancing,
+               `Round ${prevRound} has no advancement condition, so 75% of ${prevNum} (the most allowed to advance) is assumed`);
       }
+   }
+
+   /**
+    * Estimate the number of people with a result better than an attemptResult advancement condition, using personal bests
+    *
+    * The people in the previous round are assumed to be the ones with the best personal bests
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} prevRound - Round with the advancement condition
+    * @param {number} prevNum - Estimated number of people in prevRound
+    * @param {number} level - Result that must be beaten to advance (centiseconds, moves or multiblind result)
+    * @returns {RoundSizeEstimate}
+    */
+   #getAttemptResultEstimate(eventId, prevRound, prevNum, level) {
+      const resultType = this.getRankingResultType(eventId, prevRound);
+
+      // People in the latest round with known competitors, which the previous round is made up from
+      let knownRound = prevRound;
+      while (knownRound > 1 && !this.groupsAreAssigned(eventId, knownRound))
+         knownRound--;
+
+      const knownCompetitorIds = this.groupsAreAssigned(eventId, knownRound)
+         ? this.#getAssignedCompetitorIds(eventId, knownRound)
+         : this.getRegisteredCompetitorIds(eventId);
+
+      const personalBests = knownCompetitorIds
+         .map(registrantId => this.getPersonalBest(registrantId, eventId, resultType) ?? Infinity)
+         .sort((a, b) => a - b)
+         .slice(0, prevNum);
+
+      const numBetter = personalBests.filter(x => x < level).length;
+      const maxAdvancing = Math.floor(prevNum * WCIF.#maxAdvancingFraction);
+
+      const levelText = this.attemptResultToText(eventId, level, resultType);
+      let explanation = `${numBetter} of ${prevNum} in round ${prevRound} have a personal best ${resultType} better than ${levelText}`;
 
-      return numAdvancing;
+      if (numBetter > maxAdvancing)
+         explanation += `, capped at 75%`;
+
+      return new RoundSizeEstimate(Math.min(numBetter, maxAdvancing), explanation);
+   }
+
+   /**
+    * Convert an attempt result to human-readable text
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} attemptResult - Centiseconds, moves (times 100 for averages) or multiblind result
+    * @param {string} resultType - 'single' or 'average'
+    * @returns {string} e.g. '1:05.20', '30 moves' or '5 points'
+    */
+   attemptResultToText(eventId, attemptResult, resultType = 'single') {
+      const resultFormat = this.getEventResultFormat(eventId);
+
+      if (resultFormat === 'number') {
+         const moves = resultType === 'average' ? attemptResult / 100 : attemptResult;
+         return `${moves} moves`;
+      }
+
+      if (resultFormat === 'multi')
+         return `${WCIF.multiblindAttemptResultToPoints(attemptResult)} points`;
+
+      const minutes = Math.floor(attemptResult / 6000);
+      const seconds = ((attemptResult % 6000) / 100).toFixed(2);
+
+      return minutes === 0 ? seconds : `${minutes}:${seconds.padStart(5, '0')}`;
    }
 
    /**
@@ -441,7 +1277,7 @@ export class WCIF {
     *
     * MULTIBLIND: supported; will always return an empty array
     *
-    * FMC: unsupported because this scorecard software does not support FMC
+    * FMC: supported; will always return an empty array
     *
     * @param {string} eventId - Event ID, e.g. '333'
     * @param {number} round - Round number
@@ -450,11 +1286,11 @@ export class WCIF {
    getCumulRoundIds(eventId, round) {
       const roundObj = this.#getRoundObj(eventId, round);
 
-      /* deal with multiblind */
-      if (roundObj.timeLimit === null)
+      /* deal with multiblind and FMC */
+      if ((roundObj.timeLimit ?? null) === null)
          return [];
 
-      return roundObj.timeLimit.cumulativeRoundIds;
+      return roundObj.timeLimit.cumulativeRoundIds ?? [];
    }
 
    /**
@@ -466,7 +1302,7 @@ export class WCIF {
       function personIsCompeting(personObj) {
          const registration = personObj.registration;
 
-         return registration !== null &&
+         return (registration ?? null) !== null &&
                 registration.status === 'accepted' &&
                 registration.isCompeting;
       }
@@ -485,6 +1321,18 @@ export class WCIF {
       return competitorObjs.map(x => x.registrantId);
    }
 
+   /**
+    * Get the registrant IDs of accepted competitors who registered for an event
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @returns {number[]}
+    */
+   getRegisteredCompetitorIds(eventId) {
+      return this.#getCompetitorObjs()
+         .filter(x => (x.registration.eventIds ?? []).includes(eventId))
+         .map(x => x.registrantId);
+   }
+
    /**
     * Return the person object with a matching registrant ID
     *
@@ -492,7 +1340,7 @@ export class WCIF {
     * @returns {object} Person object
     */
    #getPersonObj(registrantId) {
-      return this.#personsArr.find(x => x.registrantId === registrantId);
+      return this.#registrantIdToPersonObj.get(registrantId);
    }
 
    /**
@@ -507,6 +1355,43 @@ export class WCIF {
       return personObj.wcaId === null;
    }
 
+   /**
+    * Get a person's personal best in an event
+    *
+    * @param {number} registrantId - Registrant ID of the person
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {string} type - 'single' or 'average'
+    * @returns {number | null} Attempt result, or null if the person doesn't have one
+    */
+   getPersonalBest(registrantId, eventId, type) {
+      const personObj = this.#getPersonObj(registrantId);
+
+      const personalBest = (personObj.personalBests ?? [])
+         .find(x => x.eventId === eventId && x.type === type);
+
+      return personalBest?.best ?? null;
+   }
+
+   /**
+    * Get the registrant ID of the person with a WCA ID
+    *
+    * @param {string} wcaId - WCA ID, e.g. '2009ZEMD01'
+    * @returns {number | null} null if nobody at the competition has the WCA ID
+    */
+   getRegistrantIdFromWcaId(wcaId) {
+      return this.#wcaIdToRegistrantId.get(wcaId) ?? null;
+   }
+
+   /**
+    * Return true if a person with the registrant ID is in the WCIF, false otherwise
+    *
+    * @param {number} registrantId - Registrant ID of the person
+    * @returns {bool}
+    */
+   hasPerson(registrantId) {
+      return this.#registrantIdToPersonObj.has(registrantId);
+   }
+
    /**
     * Get the WCA ID of a person
     *
@@ -531,26 +1416,360 @@ export class WCIF {
       return personObj.name;
    }
 
+   /* Validation */
+
+   /**
+    * Check a round object, and report any problems
+    *
+    * @param {string} eventId - Event ID, e.g. '333'
+    * @param {number} round - Round number
+    * @param {object} roundObj - Round object from the WCIF JSON
+    * @param {function(Symbol, string): void} addIssue - Function that records a problem with the round
+    */
+   #validateRound(eventId, round, roundObj, addIssue) {
+      const expectedId = `${eventId}-r${round}`;
+
+      if (roundObj.id !== expectedId) {
+         const skipped = round > this.getNumRounds(eventId);
+
+         addIssue(IssueSeverity.error, `Round has the ID '${roundObj.id}' instead of '${expectedId}'` +
+            (skipped ? ', so no scorecards are generated for this round or the rounds after it' : ''));
+         return;
+      }
+
+      if (!(roundObj.format in WCIF.formatToAttempts))
+         addIssue(IssueSeverity.error, `Unknown format '${roundObj.format}'`);
+
+      /* Multiblind and FMC don't have time limits in the WCIF */
+      const hasTimeLimit = !WCIF.hasAttemptActs(eventId);
+      const timeLimit = roundObj.timeLimit?.centiseconds ?? null;
+
+      if (hasTimeLimit && timeLimit === null)
+         addIssue(IssueSeverity.error, 'Missing time limit, so the scorecards have a blank line for it');
+
+      // A round without a cutoff has "cutoff": null; a missing key means the data is incomplete
+      if (!('cutoff' in roundObj))
+         addIssue(IssueSeverity.warning, 'Missing cutoff, so the round is treated as having no cutoff');
+
+      const cutoff = roundObj.cutoff?.attemptResult ?? null;
+      if (hasTimeLimit && timeLimit !== null && cutoff !== null && cutoff >= timeLimit)
+         addIssue(IssueSeverity.warning, 'Cutoff is not shorter than the time limit');
+
+      const numRounds = this.getNumRounds(eventId);
+      if (round < numRounds && (roundObj.advancementCondition ?? null) === null)
+         addIssue(IssueSeverity.warning, 'Missing advancement condition, so the next round is assumed to have the most competitors allowed (75%)');
+
+      const { groupActIds, otherActIds } = this.#getRoundActIds(eventId, round);
+
+      if (groupActIds.length === 0 && otherActIds.length === 0) {
+         addIssue(IssueSeverity.warning, 'No activity in the schedule, so only blank scorecards can be generated');
+         return;
+      }
+
+      const hasCompetitors = actId => this.#actIdToCompetitorIds.has(actId);
+      if (groupActIds.some(hasCompetitors) && otherActIds.some(hasCompetitors))
+         addIssue(IssueSeverity.warning,
+            'Some competitors are assigned to the round instead of a group. Only the group assignments are used');
+   }
+
+   /**
+    * Check the schedule's activities, and report any problems
+    *
+    * @param {function(Symbol, string | null, number | null, string): void} addIssue - Function that records a problem
+    */
+   #validateSchedule(addIssue) {
+      for (const { actObj, roundActObj, actCodeInfo } of this.#actIdToActInfo.values()) {
+         const actCode = actObj.activityCode;
+
+         // Non-event activities like 'other-lunch' don't have groups
+         if (actCode.startsWith('other-'))
+            continue;
+
+         if (actCodeInfo === null || actCodeInfo.round === null) {
+            addIssue(IssueSeverity.warning, actCodeInfo?.eventId ?? null, null,
+               `Activity '${actObj.name}' has the activity code '${actCode}', which isn't for a round, so it's ignored`);
+            continue;
+         }
+
+         const roundCodeInfo = WCIF.parseActCode(roundActObj.activityCode);
+
+         if (roundCodeInfo !== null &&
+             (roundCodeInfo.eventId !== actCodeInfo.eventId || roundCodeInfo.round !== actCodeInfo.round))
+            addIssue(IssueSeverity.warning, actCodeInfo.eventId, actCodeInfo.round,
+               `Activity '${actObj.name}' (${actCode}) is inside '${roundActObj.name}', which is for a different round`);
+      }
+   }
+
+   /**
+    * Check that every assignment refers to an activity in the schedule, and report any problems
+    *
+    * @param {function(Symbol, string | null, number | null, string): void} addIssue - Function that records a problem
+    */
+   #validateAssignments(addIssue) {
+      const badPersons = this.#personsArr
+         .filter(personObj => (personObj.assignments ?? []).some(x => !this.#actIdToActInfo.has(x.activityId)));
+
+      if (badPersons.length === 0)
+         return;
+
+      const maxNames = 3;
+      let names = badPersons.slice(0, maxNames).map(x => x.name).join(', ');
+      if (badPersons.length > maxNames)
+         names += `, and ${badPersons.length - maxNames} more`;
+
+      addIssue(IssueSeverity.warning, null, null,
+         `Some people are assigned to activities that don't exist in the schedule: ${names}. These assignments are ignored`);
+   }
+
+   /**
+    * Check the WCIF data for problems that would prevent scorecards from being generated correctly
+    *
+    * @returns {WCIFIssue[]}
+    */
+   #validate() {
+      const issues = [];
+
+      function addIssue(severity, eventId, round, message) {
+         issues.push(new WCIFIssue(severity, eventId, round, message));
+      }
+
+      for (const eventObj of this.#eventsArr) {
+         const eventId = eventObj.id;
+         const rounds = eventObj.rounds ?? [];
+
+         if (this.getEventName(eventId) === eventId)
+            addIssue(IssueSeverity.warning, eventId, null,
+               `Unknown event, so its scorecards are named '${eventId}'. You can name it in the Event names tab`);
+
+         if (!['time', 'number', 'multi'].includes(this.getEventResultFormat(eventId)))
+            addIssue(IssueSeverity.warning, eventId, null,
+               `Unknown result format '${this.getEventResultFormat(eventId)}' in the event's extension, so results are treated as times`);
+
+         if (rounds.length === 0) {
+            addIssue(IssueSeverity.error, eventId, null, 'The event has no rounds');
+            continue;
+         }
+
+         rounds.forEach((roundObj, i) => {
+            const round = i + 1;
+
+            this.#validateRound(
+               eventId,
+               round,
+               roundObj,
+               (severity, message) => addIssue(severity, eventId, round, message),
+            );
+         });
+      }
+
+      this.#validateSchedule(addIssue);
+      this.#validateAssignments(addIssue);
+
+      return issues;
+   }
+
+   /**
+    * Return true if any problem prevents scorecards from being generated correctly, false otherwise
+    *
+    * @returns {bool}
+    */
+   hasErrors() {
+      return this.issues.some(x => x.severity === IssueSeverity.error);
+   }
+
    /* Errors */
-   static HttpError = class extends Error {};
+   /**
+    * Base class for errors while loading WCIF data
+    *
+    * status is the HTTP status code of the response, or null if there was no response (e.g. a network error or a local file)
+    */
+   static LoadError = class extends Error {
+      /** @type {number | null} */
+      status;
+
+      /**
+       * @param {string} message - Description of the error
+       * @param {number | null} status - HTTP status code, or null if there was no response
+       */
+      constructor(message, status = null) {
+         super(message);
+         this.name = this.constructor.name;
+         this.status = status;
+      }
+   };
+
+   /* The WCA API returned an error that doesn't have a more specific error class, e.g. a 500 */
+   static HttpError = class extends this.LoadError {};
+   /* The competition doesn't exist (404) */
+   static NotFoundError = class extends this.HttpError {};
+   /* The user isn't allowed to see the competition data (401 or 403) */
+   static PermissionError = class extends this.HttpError {};
+   /* Too many requests were sent to the WCA API (429) */
+   static RateLimitError = class extends this.HttpError {};
+   /* The request never got a response, e.g. no internet connection */
+   static NetworkError = class extends this.LoadError {};
+   /* The data isn't valid JSON */
+   static InvalidJsonError = class extends this.LoadError {};
+   /* The data is valid JSON, but isn't WCIF */
+   static InvalidWcifError = class extends this.LoadError {};
+
+   /**
+    * Create the error corresponding to an unsuccessful HTTP response
+    *
+    * @param {Response} response - Response with a non-2xx status
+    * @param {string} url - URL of the request
+    * @returns {WCIF.HttpError}
+    */
+   static #httpErrorFromResponse(response, url) {
+      const status = response.status;
+      const message = `WCA API returned HTTP ${status} for ${url}`;
+
+      if (status === 404)
+         return new this.NotFoundError(message, status);
+
+      if (status === 401 || status === 403)
+         return new this.PermissionError(message, status);
+
+      if (status === 429)
+         return new this.RateLimitError(message, status);
+
+      return new this.HttpError(message, status);
+   }
+
+   /**
+    * Return true if the object looks like WCIF data, false otherwise
+    *
+    * Only the top-level structure that this software relies on is checked
+    *
+    * @param {any} data - Object generated from JSON
+    * @returns {bool}
+    */
+   static isWcif(data) {
+      if (data === null || typeof data !== 'object' || Array.isArray(data))
+         return false;
+
+      return typeof data.id === 'string' &&
+             typeof data.name === 'string' &&
+             Array.isArray(data.events) &&
+             Array.isArray(data.persons) &&
+             data.schedule !== null &&
+             typeof data.schedule === 'object' &&
+             Array.isArray(data.schedule.venues);
+   }
+
+   /**
+    * Parse JSON text and check that it contains WCIF data
+    *
+    * @param {string} text - JSON text
+    * @param {string} source - Where the text came from, for error messages (e.g. a URL or file name)
+    * @param {number | null} status - HTTP status code of the response, or null if there was no response
+    * @returns {object} Object generated from WCIF JSON
+    */
+   static #parseWcifText(text, source, status) {
+      let data;
+      try {
+         data = JSON.parse(text);
+      } catch (err) {
+         throw new this.InvalidJsonError(`${source} is not valid JSON`, status);
+      }
+
+      if (!this.isWcif(data))
+         throw new this.InvalidWcifError(`${source} does not contain WCIF data`, status);
+
+      return data;
+   }
+
+   /**
+    * Fetch private WCIF data (e.g. unpublished groups) for the given competition ID
+    *
+    * @param {string} compId - Competition ID, e.g. 'WesternChampionship2026'
+    * @param {string} accessToken - WCA OAuth access token
+    * @returns {Promise<object>} Object generated from WCIF JSON
+    * @throws {WCIF.LoadError} e.g. if the user doesn't manage this competition, or the token was revoked
+    */
+   static async #fetchPrivateData(compId, accessToken) {
+      const url = `${wcaOrigin}/api/v0/competitions/${compId}/wcif`;
+
+      let response;
+      let text;
+      try {
+         response = await fetch(url, {
+            headers: { Authorization: `Bearer ${accessToken}` },
+         });
+         text = await response.text();
+      } catch (err) {
+         throw new this.NetworkError(`Could not fetch ${url}: ${err.message}`);
+      }
+
+      if (!response.ok)
+         throw WCIF.#httpErrorFromResponse(response, url);
+
+      return WCIF.#parseWcifText(text, url, response.status);
+   }
 
    /**
     * Fetch WCIF data for the given competition ID, then create a WCIF object
     *
+    * If an access token is given, the private WCIF is tried first, falling back to the public WCIF. The reason for
+    * falling back is kept in privateLoadError
+    *
     * @param {string} compId - Competition ID, e.g. 'WesternChampionship2026'
+    * @param {string | null} accessToken - WCA OAuth access token, or null if the user isn't signed in
     * @returns {Promise<WCIF>}
+    * @throws {WCIF.LoadError}
     */
-   static async fromCompId(compId) {
-      const url = `https://www.worldcubeassociation.org/api/v0/competitions/${compId}/wcif/public`;
-      const response = await fetch(url);
+   static async fromCompId(compId, accessToken = null) {
+      let privateLoadError = null;
+
+      if (accessToken !== null) {
+         try {
+            const wcif = new this(compId, await WCIF.#fetchPrivateData(compId, accessToken));
+            wcif.isPrivate = true;
 
-      if (!response.ok) {
-         // TODO: more specific error. also different handling for response.status === 404.
-         throw new this.HttpError();
+            return wcif;
+         } catch (err) {
+            if (!(err instanceof WCIF.LoadError))
+               throw err;
+
+            console.log(err);
+            privateLoadError = err;
+         }
+      }
+
+      const url = `${wcaOrigin}/api/v0/competitions/${compId}/wcif/public`;
+
+      let response;
+      let text;
+      try {
+         response = await fetch(url);
+         text = await response.text();
+      } catch (err) {
+         throw new this.NetworkError(`Could not fetch ${url}: ${err.message}`);
       }
 
-      const data = await response.json();
+      if (!response.ok)
+         throw WCIF.#httpErrorFromResponse(response, url);
+
+      const data = WCIF.#parseWcifText(text, url, response.status);
+
+      const wcif = new this(compId, data);
+      wcif.privateLoadError = privateLoadError;
+
+      return wcif;
+   }
+
+   /**
+    * Read WCIF data from a local JSON file (e.g. one exported by another tool), then create a WCIF object
+    *
+    * @param {File} file - JSON file, e.g. from a file picker or drag-and-drop
+    * @returns {Promise<WCIF>}
+    * @throws {WCIF.LoadError}
+    */
+   static async fromFile(file) {
+      const text = await file.text();
+
+      const data = WCIF.#parseWcifText(text, file.name, null);
 
-      return new this(compId, data);
+      return new this(data.id, data);
    }
 }
\ No newline at end of file
@@ -0,0 +1,207 @@
+/**
+ * @module bench_wcif
+ * @description Benchmark of WCIF lookups on a large, generated championship
+ * @author David Karalli
+ *
+ * Usage:
+ *     npm run bench-wcif -- [numCompetitors] [path/to/save/wcif.json]
+ *
+ * Generates a WCIF with numCompetitors competitors (default 2000) in every event, with groups in several rooms.
+ * Times the lookups made for every scorecard, once with the WCIF class's indexes and once with linear scans
+ * over the JSON (how the lookups used to work), and then times generating the scorecard data for every event.
+ * The saved WCIF can be loaded in the app or served by the mock WCA server.
+ */
+
+import fs from 'node:fs';
+import { performance } from 'node:perf_hooks';
+import { WCIF } from '../js/wcif.js';
+import { RoomOption, RoundBlanksOption } from '../js/options.js';
+import { getScDataForEvent } from '../js/sc_data.js';
+
+const [numCompetitorsArg, savePath] = process.argv.slice(2);
+
+const numCompetitors = Number(numCompetitorsArg ?? 2000);
+const roomNames = ['Main Hall', 'Side Room', 'Ballroom'];
+const competitorsPerGroup = 40;
+
+/**
+ * Generate the WCIF data for a championship where everyone competes in every round 1
+ *
+ * @param {number} numPersons - Number of competitors
+ * @returns {object} Object in the same shape as the WCIF JSON
+ */
+function genChampionshipData(numPersons) {
+    const eventIds = Object.keys(WCIF.eventIdToName);
+    let nextActId = 1;
+
+    const events = eventIds.map(eventId => ({
+        id: eventId,
+        rounds: [1, 2].map(round => ({
+            id: `${eventId}-r${round}`,
+            format: eventId === '333fm' || eventId === '333mbf' ? '1' : 'a',
+            timeLimit: WCIF.hasAttemptActs(eventId) ? null : { centiseconds: 60000, cumulativeRoundIds: [] },
+            cutoff: null,
+            advancementCondition: round === 1 ? { type: 'percent', level: 50 } : null,
+            results: [],
+            extensions: [],
+        })),
+        extensions: [],
+    }));
+
+    const rooms = roomNames.map((name, i) => ({ id: i + 1, name, activities: [] }));
+
+    /* First-round group activity IDs for each event, in order of group number */
+    const eventIdToGroupActIds = {};
+    const numGroups = Math.ceil(numPersons / competitorsPerGroup);
+
+    for (const eventId of eventIds) {
+        const actCode = WCIF.hasAttemptActs(eventId) ? `${eventId}-r1-a1` : `${eventId}-r1`;
+        const roundActs = rooms.map(roomObj => {
+            const actObj = { id: nextActId++, name: actCode, activityCode: actCode, childActivities: [] };
+            roomObj.activities.push(actObj);
+            return actObj;
+        });
+
+        eventIdToGroupActIds[eventId] = [];
+
+        for (let group = 1; group <= numGroups; group++) {
+            const groupCode = WCIF.hasAttemptActs(eventId)
+                ? `${eventId}-r1-g${group}-a1`
+                : `${eventId}-r1-g${group}`;
+            const groupObj = { id: nextActId++, name: groupCode, activityCode: groupCode, childActivities: [] };
+
+            roundActs[(group - 1) % roundActs.length].childActivities.push(groupObj);
+            eventIdToGroupActIds[eventId].push(groupObj.id);
+        }
+    }
+
+    const persons = Array.from({ length: numPersons }, (_, i) => ({
+        registrantId: i + 1,
+        name: `Competitor ${i + 1}`,
+        wcaId: i % 5 === 0 ? null : `2020COMP${String(i).padStart(4, '0')}`,
+        registration: { eventIds, status: 'accepted', isCompeting: true },
+        assignments: eventIds.map(eventId => ({
+            activityId: eventIdToGroupActIds[eventId][Math.floor(i / competitorsPerGroup)],
+            assignmentCode: 'competitor',
+            stationNumber: null,
+        })),
+        personalBests: [],
+    }));
+
+    return {
+        formatVersion: '1.0',
+        id: 'BenchChampionship2026',
+        name: 'Bench Championship 2026',
+        shortName: 'Bench Championship 2026',
+        persons,
+        events,
+        schedule: { startDate: '2026-01-01', numberOfDays: 1, venues: [{ id: 1, name: 'Venue', rooms }] },
+        competitorLimit: null,
+        extensions: [],
+    };
+}
+
+/**
+ * Lookups made for every competitor scorecard, written as linear scans over the JSON
+ */
+const linearLookups = {
+    getCompetitorsFromActId(data, actId) {
+        return data.persons
+            .filter(p => p.assignments.some(x => x.activityId === actId && x.assignmentCode === 'competitor'))
+            .map(x => x.registrantId);
+    },
+    getGroupRoom(data, actId) {
+        return data.schedule.venues
+            .flatMap(x => x.rooms)
+            .find(roomObj => roomObj.activities.flatMap(x => x.childActivities).some(x => x.id === actId))
+            .name;
+    },
+    getPersonName(data, registrantId) {
+        return data.persons.find(x => x.registrantId === registrantId).name;
+    },
+};
+
+/**
+ * Do the lookups for every group's scorecards, and return the time taken in milliseconds
+ *
+ * @param {number[]} groupActIds - Activity IDs of every group
+ * @param {object} lookups - Functions for each lookup, which take an activity or registrant ID
+ * @returns {number}
+ */
+function timeLookups(groupActIds, lookups) {
+    const start = performance.now();
+
+    for (const actId of groupActIds) {
+        for (const registrantId of lookups.getCompetitorsFromActId(actId)) {
+            lookups.getPersonName(registrantId);
+            lookups.getGroupRoom(actId);
+        }
+    }
+
+    return performance.now() - start;
+}
+
+/**
+ * Get the options object the app would build with default values
+ *
+ * @param {WCIF} wcif
+ * @returns {Object.<string, Option>}
+ */
+function getDefaultOptionsObj(wcif) {
+    const optionsObj = {};
+
+    for (const room of wcif.getRoomNames()) {
+        const option = new RoomOption(room, room[0]);
+        optionsObj[option.getId()] = option;
+    }
+
+    for (const eventId of wcif.getEventIds()) {
+        for (let round = 1; round <= wcif.getNumRounds(eventId); round++) {
+            const option = new RoundBlanksOption(eventId, round, 1);
+            optionsObj[option.getId()] = option;
+        }
+    }
+
+    return optionsObj;
+}
+
+const data = genChampionshipData(numCompetitors);
+
+if (savePath !== undefined) {
+    fs.writeFileSync(savePath, JSON.stringify(data));
+    console.log(`Saved WCIF to ${savePath}`);
+}
+
+let start = performance.now();
+const wcif = new WCIF(data.id, data);
+const constructMs = performance.now() - start;
+
+const groupActIds = wcif.getEventIds()
+    .flatMap(eventId => wcif.getGroupActIds(eventId, 1));
+
+const indexedMs = timeLookups(groupActIds, {
+    getCompetitorsFromActId: actId => wcif.getCompetitorsFromActId(actId),
+    getGroupRoom: actId => wcif.getGroupRoom(actId),
+    getPersonName: registrantId => wcif.getPersonName(registrantId),
+});
+
+const linearMs = timeLookups(groupActIds, {
+    getCompetitorsFromActId: actId => linearLookups.getCompetitorsFromActId(data, actId),
+    getGroupRoom: actId => linearLookups.getGroupRoom(data, actId),
+    getPersonName: registrantId => linearLookups.getPersonName(data, registrantId),
+});
+
+const optionsObj = getDefaultOptionsObj(wcif);
+start = performance.now();
+const numScorecards = wcif.getEventIds()
+    .map(eventId => getScDataForEvent(wcif, optionsObj, eventId).length)
+    .reduce((a, b) => a + b, 0);
+const scDataMs = performance.now() - start;
+
+const ms = x => `${x.toFixed(1)} ms`;
+
+console.log(`${numCompetitors} competitors, ${wcif.getEventIds().length} events, ${groupActIds.length} groups`);
+console.log(`Loading the WCIF (includes building indexes):  ${ms(constructMs)}`);
+console.log(`Scorecard lookups with indexes:                ${ms(indexedMs)}`);
+console.log(`Scorecard lookups with linear scans:           ${ms(linearMs)} (${(linearMs / indexedMs).toFixed(0)}x slower)`);
+console.log(`Scorecard data for every event:                ${ms(scDataMs)} (${numScorecards} scorecards)`);
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * @module mock_wca_server
+ * @description Local server that plays the role of the WCA website, for testing sign-in and private WCIF loading
+ * @author David Karalli
+ *
+ * Usage:
+ *     npm run mock-wca -- path/to/wcif.json [port]
+ *     VITE_WCA_ORIGIN=http://localhost:3001 VITE_WCA_CLIENT_ID=mock npm run dev
+ *
+ * Endpoints:
+ *     GET /oauth/authorize                          - immediately redirects back with an access token
+ *     GET /api/v0/competitions/:compId/wcif         - full WCIF; requires the access token
+ *     GET /api/v0/competitions/:compId/wcif/public  - WCIF without private fields or group assignments,
+ *                                                     as if the groups weren't published yet
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+const [wcifPath, portArg] = process.argv.slice(2);
+
+if (wcifPath === undefined) {
+    console.error('Usage: node tools/mock_wca_server.mjs path/to/wcif.json [port]');
+    process.exit(1);
+}
+
+const port = Number(portArg ?? 3001);
+const accessToken = 'mock-access-token';
+
+/** @type {object} */
+const wcifData = JSON.parse(fs.readFileSync(wcifPath, 'utf8'));
+
+/**
+ * Get the public version of the WCIF data: no private person fields, and no assignments
+ *
+ * @returns {object}
+ */
+function getPublicData() {
+    const persons = wcifData.persons.map(personObj => ({
+        ...personObj,
+        email: undefined,
+        birthdate: undefined,
+        assignments: [],
+    }));
+
+    return { ...wcifData, persons: persons };
+}
+
+/**
+ * Send a JSON response, with CORS headers so the dev server can read it
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status - HTTP status code
+ * @param {any} body - Object to send as JSON
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Authorization',
+    });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Redirect back to the app with an access token in the URL hash, like the WCA's implicit grant flow
+ *
+ * @param {http.ServerResponse} res
+ * @param {URLSearchParams} params - Query parameters of the authorize request
+ */
+function authorize(res, params) {
+    const hashParams = new URLSearchParams({
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: '7200',
+        state: params.get('state') ?? '',
+    });
+
+    res.writeHead(302, { Location: `${params.get('redirect_uri')}#${hashParams}` });
+    res.end();
+}
+
+const server = http.createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${port}`);
+    const wcifMatch = url.pathname.match(/^\/api\/v0\/competitions\/([^/]+)\/wcif(\/public)?$/);
+
+    console.log(`${req.method} ${url.pathname}`);
+
+    // CORS preflight for requests with an Authorization header
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Headers': 'Authorization',
+        });
+        res.end();
+        return;
+    }
+
+    if (url.pathname === '/oauth/authorize') {
+        authorize(res, url.searchParams);
+        return;
+    }
+
+    if (wcifMatch === null || wcifMatch[1] !== wcifData.id) {
+        sendJson(res, 404, { error: `Not found: ${url.pathname}` });
+        return;
+    }
+
+    if (wcifMatch[2] === '/public') {
+        sendJson(res, 200, getPublicData());
+        return;
+    }
+
+    if (req.headers.authorization !== `Bearer ${accessToken}`) {
+        sendJson(res, 401, { error: 'Not logged in' });
+        return;
+    }
+
+    sendJson(res, 200, wcifData);
+});
+
+server.listen(port, () => {
+    console.log(`Mock WCA server for ${wcifData.id} listening on http://localhost:${port}`);
+});